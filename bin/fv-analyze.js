@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Command-line analyzer: runs JavaScript files through the
+ * interpreter and ErrorChecker exactly as the dynamic
+ * visualizer would, and prints each warning raised.
+ *
+ * Usage: fv-analyze [--json] [--profile name|profile.json] file.js [file2.js ...]
+ *
+ * --profile picks a rule profile: the id of a built-in one
+ * (default, strictFP, beginner, imperative) or a JSON file
+ * of the form described in ruleProfiles.js.
+ *
+ * As in the visualizer, a run is stopped with a warning after
+ * 1000000 interpreter steps, a call depth of 200, or 10 s of
+ * interpreting time (the time spent in the interpreter itself).
+ *
+ * Exits with 1 if any file has critical errors,
+ * and 2 if a file could not be read, parsed or interpreted.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+// the analysis modules are written in ES6 for the browser build
+require('babel-core/register')({
+  stage: 0,
+  only: /public\/modules/,
+});
+
+var traceProgram = require('../public/modules/d3DynamicVisualizer/traceProgram/traceProgram.js');
+var ruleProfiles = require('../public/modules/d3DynamicVisualizer/StateToNodeConverter/ErrorChecker/WarningHandler/ruleProfiles.js');
+
+var EXIT_CRITICAL_ERRORS = 1;
+var EXIT_FAILED = 2;
+
+var USAGE = 'Usage: fv-analyze [--json] [--profile name|profile.json] file.js [file2.js ...]';
+
+var args = process.argv.slice(2);
+var jsonOutput = args.indexOf('--json') > -1;
+var profileIndex = args.indexOf('--profile');
+var profileArg = (profileIndex > -1) ? args[profileIndex + 1] : null;
+var files = args.filter(function(arg, i) {
+  return arg !== '--json' && (profileIndex === -1 ||
+    (i !== profileIndex && i !== profileIndex + 1));
+});
+
+if (files.length === 0 || (profileIndex > -1 && !profileArg)) {
+  console.error(USAGE);
+  process.exit(EXIT_FAILED);
+}
+
+var ruleProfile;
+try {
+  ruleProfile = readRuleProfile(profileArg);
+} catch (e) {
+  console.error('Rule profile error: ' + e.message);
+  process.exit(EXIT_FAILED);
+}
+
+var results = files.map(analyzeFile);
+
+if (jsonOutput) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  results.forEach(printResult);
+}
+
+// let stdout drain rather than calling process.exit
+process.exitCode = getExitCode(results);
+
+/**
+ * The id of a built-in profile, or one read from a JSON file.
+ */
+
+function readRuleProfile(profileName) {
+  if (!profileName) {
+    return 'default';
+  }
+  if (!/\.json$/.test(profileName)) {
+    // throws if there is no such profile
+    ruleProfiles.getRules(profileName);
+    return profileName;
+  }
+  var profile = JSON.parse(fs.readFileSync(profileName, 'utf8'));
+  profile.name = profile.name || path.basename(profileName);
+  return ruleProfiles.checkProfile(profile);
+}
+
+/**
+ * Trace a single file and collect its warnings with source lines.
+ */
+
+function analyzeFile(file) {
+  var source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return {
+      file: file,
+      error: {
+        action: 'File error',
+        message: e.message,
+      },
+    };
+  }
+
+  // the interpreter runs the trimmed code, as the editor does,
+  // so offset rows by any leading blank lines to match the file
+  var leadingLines = (source.match(/^\s*/)[0].match(/\n/g) || []).length;
+  var sourceLines = source.split('\n');
+  var trace = traceProgram(source, {
+    ruleProfile: ruleProfile,
+  });
+
+  return {
+    file: file,
+    errorCount: trace.errorCount,
+    functional: !trace.error && trace.errorCount === 0,
+    error: trace.error,
+    output: trace.output,
+    resultReport: trace.resultReport,
+    functionReport: trace.functionReport,
+    warnings: trace.warnings.map(function(warning) {
+      var line = (warning.range) ? warning.range.start.row + leadingLines : null;
+      return {
+        step: warning.step,
+        key: warning.key,
+        status: warning.status,
+        action: warning.action,
+        message: warning.message,
+        functionName: warning.actingNodeName,
+        line: (line !== null) ? line + 1 : null,
+        source: (line !== null) ? sourceLines[line].trim() : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Print a result in the same terms as the visualizer's root node.
+ */
+
+function printResult(result) {
+  console.log(path.relative(process.cwd(), result.file) || result.file);
+
+  (result.warnings || []).forEach(function(warning) {
+    console.log('  [' + warning.status + '] ' + warning.action);
+    console.log('    ' + warning.message.replace(/\s+/g, ' '));
+    console.log('    in ' + (warning.functionName || 'Program') +
+      ((warning.line !== null) ? ', line ' + warning.line + ': ' + warning.source : ''));
+  });
+
+  (result.resultReport || []).forEach(function(functionResult) {
+    if (!functionResult.consistent) {
+      console.log('  ' + functionResult.name + ' was inconsistent on inputs ' +
+        functionResult.inconsistentInputs.join(', '));
+    }
+  });
+
+  if (result.functionReport) {
+    result.functionReport.functions.forEach(function(functionReport) {
+      console.log('  ' + functionReport.name + ': ' + functionReport.calls + ' calls, ' +
+        'recursion depth ' + functionReport.maxRecursionDepth + ', ' + functionReport.classification);
+    });
+    console.log('  Overall: ' + result.functionReport.classification);
+  }
+
+  if (result.error) {
+    console.log('  ' + result.error.action + ': ' + result.error.message);
+    return;
+  }
+
+  console.log('  ' + ((result.errorCount > 0) ? result.errorCount : 'No') +
+    ' critical errors.' + ((!result.errorCount) ? ' FUNCTIONAL.' : ''));
+}
+
+/**
+ * Failures to analyze take precedence over critical errors.
+ */
+
+function getExitCode(results) {
+  var failed = results.some(function(result) {
+    return result.error;
+  });
+  if (failed) {
+    return EXIT_FAILED;
+  }
+  var criticalErrors = results.some(function(result) {
+    return result.errorCount > 0;
+  });
+  return (criticalErrors) ? EXIT_CRITICAL_ERRORS : 0;
+}
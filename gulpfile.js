@@ -97,6 +97,24 @@ var buildJs = function(watch) {
     bundler.external(lib);
   });
 
+  // the SequencerWorker has its own global scope without vendor.js,
+  // so its bundle includes the libs it uses
+  var workerBundler = browserify({
+      debug: true,
+      cache: {},
+      packageCache: {},
+      fullPaths: watch
+    })
+    .require(require.resolve('./public/modules/d3DynamicVisualizer/SequencerWorker/SequencerWorker.js'), {
+      entry: true
+    })
+    .transform(babelify.configure({
+      stage: 0,
+      plugins: ["object-assign"],
+    }))
+    // astTools only loads Ace for highlighting, which the worker never does
+    .exclude('brace');
+
   var rebundle = function() {
     var startTime = Date.now();
     console.log('rebuilding user js');
@@ -118,9 +136,27 @@ var buildJs = function(watch) {
       });
   };
 
+  var rebundleWorker = function() {
+    console.log('rebuilding worker js');
+    return workerBundler.bundle()
+      .pipe(source('sequencerWorker.js'))
+      .pipe(buffer())
+      .pipe(sourcemaps.init({
+        loadMaps: true
+      }))
+      .pipe(sourcemaps.write('./'))
+      .pipe(gulp.dest(destPaths.js))
+      .on('error', function(err) {
+        console.error(err.message || err);
+        this.emit('end');
+      });
+  };
+
   if (watch) {
     bundler = watchify(bundler);
     bundler.on('update', rebundle);
+    workerBundler = watchify(workerBundler);
+    workerBundler.on('update', rebundleWorker);
   }
 
   vendorBundler.bundle()
@@ -132,6 +168,7 @@ var buildJs = function(watch) {
     .pipe(sourcemaps.write('./'))
     .pipe(gulp.dest(destPaths.js));
 
+  rebundleWorker();
   return rebundle();
 };
 
@@ -6,19 +6,26 @@ import {parse} from 'acorn';
 import estraverse from 'estraverse';
 let escodegen = require('escodegen');
 import {includes, pluck, uniq as unique, last, chain} from 'lodash';
-let ace = require('brace');
-let Range = ace.acequire('ace/range').Range;
 
 function astTools() {
 
-  function createAst(codeToParse, createLocations) {
+  // sourceFile is kept on each node's loc, to tell apart builtins
+  // (see jsInterpreterInit) from the code in the editor.
+  // If given an array, comments are pushed onto it (for fv-ignore).
+  function createAst(codeToParse, createLocations, sourceFile, comments) {
     let parseString = (typeof codeToParse === 'Function') ?
       codeToParse.toString() : codeToParse;
     return parse(parseString, {
       locations: createLocations,
+      sourceFile,
+      onComment: comments,
     });
   }
 
+  function isBuiltinNode(node) {
+    return Boolean(node && node.loc && node.loc.source === 'builtin');
+  }
+
   function createCode(ast, options) {
     return escodegen.generate(ast, options);
   }
@@ -75,16 +82,42 @@ function astTools() {
     }
   }
 
-  function getCodeRange(node) {
-    if (node) {
+  // plain rows/columns in the same (zero-based row) form as an Ace Range,
+  // for use where Ace is not available. Builtins aren't in the editor,
+  // so they have none.
+  function getCodeLoc(node) {
+    if (node && !isBuiltinNode(node)) {
       let loc = node.loc;
-      let range = new Range(loc.start.line - 1, loc.start.column,
-        loc.end.line - 1, loc.end.column);
+      return {
+        start: {
+          row: loc.start.line - 1,
+          column: loc.start.column,
+        },
+        end: {
+          row: loc.end.line - 1,
+          column: loc.end.column,
+        },
+      };
+    }
+    return null;
+  }
+
+  function getRangeFromLoc(codeLoc) {
+    if (codeLoc) {
+      // Ace needs a browser; only load it once a Range is asked for
+      // so that these tools can also run headless under node.
+      let Range = require('brace').acequire('ace/range').Range;
+      let range = new Range(codeLoc.start.row, codeLoc.start.column,
+        codeLoc.end.row, codeLoc.end.column);
       return range;
     }
     return null;
   }
 
+  function getCodeRange(node) {
+    return getRangeFromLoc(getCodeLoc(node));
+  }
+
   function createsNewFunctionScope(node) {
     // Expression statement?
     return (node.type === 'Program' ||
@@ -150,19 +183,35 @@ function astTools() {
     throw new Error('couldn\'t get callee name');
   }
 
-  function getEndMemberExpression(node) {
+  // the expression a member expression starts from, e.g. numbers
+  // for numbers[0].value, or getList() for getList().length
+  function getMemberRoot(node) {
     let _ = node;
     while (_.object) {
       _ = _.object;
     }
-    return _.name;
+    return _;
+  }
+
+  // the name of the variable at the root, 'this',
+  // or the code of any other root expression
+  function getEndMemberExpression(node) {
+    let root = getMemberRoot(node);
+    if (root.type === 'Identifier') {
+      return root.name;
+    }
+    if (root.type === 'ThisExpression') {
+      return 'this';
+    }
+    return createCode(root);
   }
 
   return {
-    astTools, createAst, createCode, getRunCodeString, getId,
+    astTools, createAst, isBuiltinNode, createCode, getRunCodeString, getId,
     getArgs, createsNewFunctionScope,
     addScopeInfo, getFirstActionSteps, typeIsSupported,
-    getCodeRange, getCalleeName, getEndMemberExpression,
+    getCodeLoc, getRangeFromLoc, getCodeRange, getCalleeName, getMemberRoot,
+    getEndMemberExpression,
   };
 }
 
@@ -1,17 +1,17 @@
 'use strict';
-import {cloneDeep} from 'lodash';
+import {pick} from 'lodash';
 import CodeStore from '../../stores/CodeStore.js';
 import CodeStatusStore from '../../stores/CodeStatusStore.js';
 import SequencerStore from '../../stores/SequencerStore.js';
-import Interpreter from '../../vendor_mod/JS-Interpreter/interpreter.js';
-import initFunc from '../jsInterpreterInit/jsInterpreterInit.js';
 import astTools from '../../astTools/astTools.js';
-import StateToNodeConverter from '../StateToNodeConverter/StateToNodeConverter.js';
+import StepSerializer from '../StepSerializer/StepSerializer.js';
 
 /* Sequencer for d3DynamicVisualizer/Editor.
    controlled by React ControlBar via SequencerStore store.
-   Inteprets next state, updates SequencerStore and drives synchronized
-   events to the Editor and visualizer underneath React. 
+   Requests each next visual step from the SequencerWorker, which
+   interprets the code off the UI thread, then updates SequencerStore
+   and drives synchronized events to the Editor and visualizer
+   underneath React.
 
    Follows the initialise/update pattern as D3, as essentially
    this module performs a pre-processing of the interpreter results
@@ -19,9 +19,24 @@ import StateToNodeConverter from '../StateToNodeConverter/StateToNodeConverter.j
 */
 function Sequencer() {
 
-  let interpreter;
-  let astWithLocations;
-  let stateToNodeConverter;
+  // relative to index.html, built by gulpfile.js
+  const workerUrl = 'build/sequencerWorker.js';
+
+  let worker = null;
+  // each reset starts a new session, so that steps
+  // still arriving from the last one can be ignored
+  let session = 0;
+  // false for imported traces, which only replay their recorded steps
+  let sessionLive = false;
+  let awaitingWorker = false;
+  let pendingSingleStep = false;
+  let sessionCodeString = null;
+  // set by step into/over/out: called with the stepInfo of each
+  // visual step, returns true once the run should pause there.
+  let runTarget = null;
+  // Ace row to run to, checked by the worker on each
+  // interpreter step and against replayed steps here.
+  let cursorRow = null;
 
   function displaySnackBarError(action, message) {
     SequencerStore.setStepOutput({
@@ -39,112 +54,296 @@ function Sequencer() {
      Parsing will select user-written code once
      they have worked on/changed a preset example. */
   function parseCodeAsIIFE() {
-
-    let codeString = (CodeStore.get());
-    let runCodeString = astTools.getRunCodeString(codeString);
-    try {
-      astWithLocations = astTools.createAst(runCodeString, true);
-    } catch (e) {
-      // display message if user types in invalid code;
-      displaySnackBarError('Parser error', e);
-      return;
-    }
+    // parser errors are reported back by the worker
+    sessionCodeString = CodeStore.get();
     resetInterpreterAndSequencerStore();
   }
 
-  /* resets interpreter and SequencerStore state to begin the program again,
-     without re-parsing code. */
-  function resetInterpreterAndSequencerStore() {
-    SequencerStore.resetState();
-    /* SequencerStore now has new node/link refs,
-       update via function closure */
-    stateToNodeConverter =
-      new StateToNodeConverter(SequencerStore.linkState().nodes,
-        SequencerStore.linkState().links);
-    // there isn't an AST if we switch from dynamic without parsing
-    if (astWithLocations) {
-      /* create deep copy so that d3 root modifications
-       and interpreter transformations are not maintained */
-      let sessionAst = cloneDeep(astWithLocations).valueOf();
-      try {
-        interpreter = new Interpreter(sessionAst, initFunc);
-      } catch (e) {
-        displaySnackBarError('Interpreter error', e);
+  // options that shape the recorded steps, restored along with them
+  const tracedOptionKeys = [
+    'limitReturnedNodes', 'maxAllowedReturnNodes',
+    'stopOnNotices', 'showFunctionLabels', 'highlightExecutedCode',
+    'builtins', 'flagConsoleOutput', 'ruleProfile',
+  ];
+
+  function exportTrace() {
+    return {
+      version: StepSerializer.traceVersion,
+      codeString: CodeStore.get(),
+      options: SequencerStore.getOptions(),
+      steps: SequencerStore.getHistory(),
+    };
+  }
+
+  /* shows a previously recorded visual step again.
+     The worker is left where it is, so stepping forward
+     replays the recorded steps until it is caught up with. */
+  // highlightedNodeIndex picks out a d3 node, e.g. the one a warning blames
+  function showRecordedStep(historyIndex, highlightedNodeIndex = null) {
+    let stepInfo = SequencerStore.restoreStep(historyIndex, true);
+    if (stepInfo) {
+      SequencerStore.setStepOutput({
+        highlightedNodeIndex,
+      });
+      if (CodeStatusStore.isCodeFinished() !== Boolean(stepInfo.finished)) {
+        CodeStatusStore.setCodeFinished(Boolean(stepInfo.finished));
       }
+      SequencerStore.sendUpdate();
     }
   }
 
-  function nextStep(singleStep) {
+  function stepBackward() {
+    let historyIndex = SequencerStore.getHistoryIndex();
+    if (historyIndex > 0) {
+      showRecordedStep(historyIndex - 1);
+    }
+  }
 
-    let delay = SequencerStore.getOptions().sequencerDelay * 3000;
-    let maxAllowedReturnNodes =
-      SequencerStore.getOptions().maxAllowedReturnNodes *
-      SequencerStore.getOptions().maxAllowedReturnNodesFactor;
-    let doneAction = false;
-    let warning = null;
-    if (CodeStatusStore.isCodeRunning()) {
-      [doneAction, warning] =
-      stateToNodeConverter.action(interpreter, maxAllowedReturnNodes);
-
-      if (doneAction) {
-        // console.log('this step actioned:');
-      }
-      // console.log(cloneDeep(interpreter.stateStack[0]));
-      if (doneAction) {
-        let representedNode = stateToNodeConverter.getRepresentedNode();
-        SequencerStore.setStepOutput({
-          // arrows are not drawn in ratio speed  if we're advancing one step at a time
-          singleStep,
-          execCodeBlock: astTools.createCode(representedNode),
-            range: astTools.getCodeRange(representedNode),
-            warning,
-        });
-        // wait until sequencer has completed timedout editor/d3
-        // output before recursing, or show warning
-        SequencerStore.sendUpdate().then(() => {
-          if (!(warning && SequencerStore.getOptions().stopOnNotices)) {
-            gotoNextStep();
-          } else {
-            CodeStatusStore.setCodeRunning(false);
-          }
-        });
+  function hasReachedRunTarget(stepInfo) {
+    return Boolean(runTarget && runTarget(stepInfo));
+  }
+
+  function isCursorRowReplayed() {
+    let range = SequencerStore.getCurrentRange();
+    if (cursorRow !== null && range && range.start.row === cursorRow) {
+      cursorRow = null;
+      return true;
+    }
+    return false;
+  }
+
+  // waits for the step to be shown, then pauses or moves on
+  function continueAfterStep(step, singleStep) {
+    let delay = SequencerStore.getSequencerDelay() * 3000;
+    let warning = SequencerStore.getWarning();
+    SequencerStore.sendUpdate().then(() => {
+      if (singleStep || hasReachedRunTarget(step) || isCursorRowReplayed() ||
+        (warning && SequencerStore.getOptions().stopOnNotices)) {
+        CodeStatusStore.setCodeRunning(false);
       } else {
-        // keep skipping forward until we see something
-        // representing one of the actions that has
-        // a visualization component built for it.
-        // add timeout to relieve UI thread and allow
-        // delay slider bar to operate
-        gotoNextStep();
+        setTimeout(nextStep.bind(null, singleStep), delay);
       }
+    });
+  }
+
+  function replayNextStep(singleStep) {
+    let step = SequencerStore.restoreStep(
+      SequencerStore.getHistoryIndex() + 1, singleStep);
+    if (step.finished) {
+      CodeStatusStore.setCodeFinished(true);
+      SequencerStore.sendUpdate();
+      return;
+    }
+    continueAfterStep(step, singleStep);
+  }
+
+  function pauseAtCode(result) {
+    // highlight the code without adding a visual step
+    SequencerStore.setStepOutput({
+      singleStep: true,
+      execCodeBlock: result.execCodeBlock,
+      range: astTools.getRangeFromLoc(result.range),
+      warning: null,
+    });
+    SequencerStore.sendUpdate();
+    CodeStatusStore.setCodeRunning(false);
+  }
+
+  function onWorkerMessage(e) {
+    let result = e.data;
+    if (result.session !== session) {
+      return;
     }
+    let wasAwaiting = awaitingWorker;
+    awaitingWorker = false;
+    let step = (result.diff) ?
+      StepSerializer.patchStep(SequencerStore.getLastStep(), result.diff) : null;
 
-    function gotoNextStep() {
-      try {
-        if (interpreter.step()) {
-          stateToNodeConverter.nextStep();
-          if (doneAction && singleStep) {
-            CodeStatusStore.setCodeRunning(false);
-          } else {
-            setTimeout(nextStep.bind(null, singleStep), (doneAction) ? delay : 0);
-          }
-        } else {
-          CodeStatusStore.setCodeFinished(true);
-          stateToNodeConverter.setFinished();
-          SequencerStore.sendUpdate();
-        }
-      } catch (e) {
-        // the interpreter may throw errors if you type
-        // valid AST code but containing unknown identifiers
-        // in deeper scopes.
+    if (result.type === 'step') {
+      SequencerStore.addStep(step, pendingSingleStep);
+      continueAfterStep(step, pendingSingleStep);
+    } else if (result.type === 'pause') {
+      if (result.reason === 'cursor') {
+        cursorRow = null;
+      }
+      pauseAtCode(result);
+    } else if (result.type === 'finished') {
+      sessionLive = false;
+      CodeStatusStore.setCodeFinished(true);
+      SequencerStore.addStep(step, pendingSingleStep);
+      SequencerStore.sendUpdate();
+    } else if (result.type === 'stopped') {
+      // a budget was exceeded. Show its warning as for a single step,
+      // so that the snackbar appears whatever stopOnNotices is set to
+      sessionLive = false;
+      CodeStatusStore.setCodeFinished(true);
+      SequencerStore.addStep(step, true);
+      SequencerStore.sendUpdate();
+    } else if (result.type === 'error') {
+      sessionLive = false;
+      // the interpreter may throw errors if you type
+      // valid AST code but containing unknown identifiers
+      // in deeper scopes.
+      if (wasAwaiting) {
         CodeStatusStore.setCodeFinished(true);
-        displaySnackBarError('Interpreter error', e);
       }
+      displaySnackBarError(result.action, result.message);
+    }
+  }
+
+  function startSession(live) {
+    session++;
+    sessionLive = live;
+    if (worker && awaitingWorker) {
+      // the worker may never return from an endless loop
+      worker.terminate();
+      worker = null;
+    }
+    awaitingWorker = false;
+    if (!live) {
+      return;
+    }
+    if (!worker) {
+      worker = new Worker(workerUrl);
+      worker.onmessage = onWorkerMessage;
     }
+    worker.postMessage({
+      command: 'reset',
+      session,
+      codeString: sessionCodeString,
+      options: pick(SequencerStore.getOptions(), 'builtins', 'flagConsoleOutput', 'ruleProfile'),
+    });
+  }
+
+  /* resets interpreter and SequencerStore state to begin the program again,
+     without re-reading the code from the editor. */
+  function resetInterpreterAndSequencerStore() {
+    SequencerStore.resetState();
+    // there isn't any code if we switch from dynamic without parsing
+    if (sessionCodeString !== null) {
+      startSession(true);
+    }
+  }
+
+  /* loads an exported trace (or a headless traceProgram result with
+     its codeString added) for replay. No worker session is started, so
+     the run ends with the recorded steps; resetting afterwards
+     interprets the imported code from the start as usual. */
+  function importTrace(traceJson) {
+    let trace;
+    let error;
+    try {
+      trace = JSON.parse(traceJson);
+      error = StepSerializer.getTraceError(trace);
+    } catch (e) {
+      error = e.message;
+    }
+    if (error) {
+      SequencerStore.setStepOutput({
+        warning: {
+          action: 'Import error',
+          message: error,
+        },
+      });
+      SequencerStore.sendUpdate();
+      return;
+    }
+    CodeStore.set(trace.codeString, false);
+    SequencerStore.setOptions(pick(trace.options || {}, tracedOptionKeys));
+    sessionCodeString = trace.codeString;
+    SequencerStore.resetState();
+    startSession(false);
+    SequencerStore.loadHistory(trace.steps);
+    CodeStatusStore.setCodeParsed(true);
+  }
+
+  function nextStep(singleStep) {
+    if (!CodeStatusStore.isCodeRunning()) {
+      return;
+    }
+    if (SequencerStore.hasStepsAhead()) {
+      // user has stepped back; catch up from the recorded steps first
+      replayNextStep(singleStep);
+      return;
+    }
+    if (!sessionLive) {
+      // imported traces have nothing left to run past their recorded steps
+      CodeStatusStore.setCodeFinished(true);
+      return;
+    }
+    pendingSingleStep = singleStep;
+    if (awaitingWorker) {
+      // resumed before the last requested step arrived;
+      // that step carries on from here instead
+      return;
+    }
+    // the worker skips the interpreter steps that have
+    // nothing to visualize, and answers with the next one that does.
+    awaitingWorker = true;
+    let options = SequencerStore.getOptions();
+    worker.postMessage({
+      command: 'step',
+      session,
+      limits: {
+        maxAllowedReturnNodes: options.maxAllowedReturnNodes *
+          options.maxAllowedReturnNodesFactor,
+        maxInterpreterSteps: options.maxInterpreterSteps,
+        maxScopeDepth: options.maxScopeDepth,
+        maxInterpretingTime: options.maxInterpretingTime,
+      },
+      breakpoints: CodeStore.getBreakpoints(),
+      cursorRow,
+    });
+  }
+
+  // starts the Sequencer running, optionally until runTarget is met
+  // or the interpreter arrives at targetRow
+  function run(singleStep, target, targetRow) {
+    runTarget = target || null;
+    cursorRow = (targetRow !== undefined) ? targetRow : null;
+    SequencerStore.setFastForward(Boolean(runTarget) || cursorRow !== null);
+    nextStep(singleStep);
+  }
+
+  function runToCursor(row) {
+    run(false, null, row);
+  }
+
+  // pause on the next function call
+  function stepInto() {
+    run(false, (stepInfo) => {
+      return stepInfo.actionType === 'entering';
+    });
+  }
+
+  // pause on the next step that is not inside a function
+  // called from the current one
+  function stepOver() {
+    let depth = SequencerStore.getCurrentStepInfo().depth || 0;
+    run(false, (stepInfo) => {
+      return stepInfo.depth <= depth;
+    });
+  }
+
+  // pause once the current function has returned to its caller
+  function stepOut() {
+    let depth = SequencerStore.getCurrentStepInfo().depth || 0;
+    run(false, (stepInfo) => {
+      return stepInfo.actionType === 'exiting' && stepInfo.depth < depth;
+    });
   }
 
   return {
     initialize: parseCodeAsIIFE,
-    update: nextStep,
+    update: run,
+    stepInto,
+    stepOver,
+    stepOut,
+    runToCursor,
+    exportTrace,
+    importTrace,
+    stepBackward,
+    showRecordedStep,
     restart: resetInterpreterAndSequencerStore,
   };
 
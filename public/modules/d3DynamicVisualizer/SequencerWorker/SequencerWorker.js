@@ -0,0 +1,66 @@
+/* Entry point of the separate worker bundle (see gulpfile.js, or
+   the build-worker npm script). Runs the interpreter off the UI
+   thread, so that heavy programs no longer freeze the page and the
+   delay slider, and posts each visual step back to the Sequencer
+   as a diff on the last one.
+
+   Messages in:
+   {command: 'reset', session, codeString, options}
+   {command: 'step', session, limits, breakpoints, cursorRow}
+   Messages out are the StepRunner results, tagged with their session
+   so the Sequencer can drop any that arrive after a reset. Steps are
+   sent as {type: 'step' | 'finished' | 'stopped', diff} in place
+   of the full step. */
+
+import StepRunner from '../StepRunner/StepRunner.js';
+import StepSerializer from '../StepSerializer/StepSerializer.js';
+
+let stepRunner = null;
+let session = null;
+let lastStep = null;
+
+function reply(result) {
+  let message = Object.assign({
+    session,
+  }, result);
+  if (result.step) {
+    message.diff = StepSerializer.diffStep(lastStep, result.step);
+    delete message.step;
+    lastStep = result.step;
+  }
+  self.postMessage(message);
+}
+
+function reset(data) {
+  session = data.session;
+  lastStep = null;
+  stepRunner = new StepRunner();
+  let error = stepRunner.initialize(data.codeString, data.options);
+  if (error) {
+    stepRunner = null;
+    reply(error);
+  }
+}
+
+function step(data) {
+  if (!stepRunner || data.session !== session) {
+    return;
+  }
+  stepRunner.setBreakpoints(data.breakpoints);
+  if (data.cursorRow !== stepRunner.getCursorRow()) {
+    stepRunner.setCursorRow(data.cursorRow);
+  }
+  let result = stepRunner.runToNextStep(data.limits);
+  if (result.type !== 'step' && result.type !== 'pause') {
+    stepRunner = null;
+  }
+  reply(result);
+}
+
+self.onmessage = (e) => {
+  if (e.data.command === 'reset') {
+    reset(e.data);
+  } else if (e.data.command === 'step') {
+    step(e.data);
+  }
+};
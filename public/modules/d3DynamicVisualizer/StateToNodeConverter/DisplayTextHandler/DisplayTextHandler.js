@@ -65,9 +65,10 @@ function UpdateHandler() {
     if (computedPrimitive) {
       // need to get the interpreter computed values as they appear, eg (n-1)
       // take state.n_ -1 since interpreterComputedArgs does not have
-      // a leading function identifier
+      // a leading function identifier. String() as undefined and null
+      // (eg console.log(undefined)) have no toString
       updateNode.interpreterComputedArgs[state.n_ - 1] = {
-        value: state.value.data.toString(),
+        value: String(state.value.data),
         type: state.value.type,
       };
     }
@@ -131,7 +132,9 @@ function UpdateHandler() {
             // don't go into the very last one
             traverseToValue = traverseToValue.properties[obj];
           }
-          property = traverseToValue.properties[arg.property].data;
+          // utils.double names its property, arr[i] looks it up
+          let keyVariable = arg.keyVariable && traverseToValue.properties[arg.property];
+          property = (keyVariable) ? keyVariable.data : arg.property;
           let deepestObjName = arg.object[arg.object.length - 1];
           if (traverseToValue.properties[deepestObjName].properties[property]) {
             traverseToValue = traverseToValue.properties[deepestObjName].properties[property];
@@ -152,7 +155,7 @@ function UpdateHandler() {
           };
         } else {
           displayTokens[i] = {
-            value: arg.value,
+            value: arg.code || arg.value,
             type: traverseToValue.type,
           };
         }
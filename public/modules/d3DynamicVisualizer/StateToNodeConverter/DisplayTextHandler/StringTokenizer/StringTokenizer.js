@@ -24,7 +24,9 @@ function StringTokenizer() {
           type: isNaN(arg.value) ? 'string' : 'number',
         };
       } else if (arg.type === 'CallExpression') {
-        displayTokens[i] = getInitialDisplayTokens(arg.callee.name, arg.arguments, parentNode, interpreter);
+        let calleeName = (arg.callee.type === 'MemberExpression') ?
+          astTools.createCode(arg.callee) : arg.callee.name;
+        displayTokens[i] = getInitialDisplayTokens(calleeName, arg.arguments, parentNode, interpreter);
       } else if (arg.type === 'FunctionExpression') {
         // anonymous functions - don't show the full details
         displayTokens[i] = getInitialDisplayTokens('anonymous', arg.params, parentNode, interpreter);
@@ -69,7 +71,8 @@ function StringTokenizer() {
         } else {
           throw new Error(`Wrapping root (Program) function shouldn't have arguments`);
         }
-      } else if (arg.type === 'MemberExpression') {
+      } else if (arg.type === 'MemberExpression' && arg.object.type === 'Identifier') {
+        // only name.key - this.key, a.b.key or f().key are left to the interpreter below
         let objArray = [];
         let _ = arg;
         while (_.object) {
@@ -80,7 +83,10 @@ function StringTokenizer() {
           value: arg.object.name,
           type: 'object',
           object: objArray,
-          property: arg.property.name,
+          // the key, or for arr[i] the variable holding it
+          property: (arg.property.type === 'Identifier') ? arg.property.name : arg.property.value,
+          keyVariable: arg.computed && arg.property.type === 'Identifier',
+          code: astTools.createCode(arg),
         };
       } else {
         // BinaryExpressions and more edge cases...just get the code
@@ -115,6 +121,7 @@ function StringTokenizer() {
     switch (token.type) {
       case 'undefined':
       case 'number':
+      case 'boolean':
       case 'code':
         return token.value;
       case 'string':
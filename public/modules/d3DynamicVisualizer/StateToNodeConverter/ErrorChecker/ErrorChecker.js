@@ -1,10 +1,23 @@
 import {includes} from 'lodash';
 import WarningHandler from './WarningHandler/WarningHandler.js';
+import ResultRecorder from './ResultRecorder/ResultRecorder.js';
+import FunctionReport from './FunctionReport/FunctionReport.js';
+import Suppressions from './Suppressions/Suppressions.js';
+import ruleProfiles from './WarningHandler/ruleProfiles.js';
 import astTools from '../../../astTools/astTools.js';
 
-function ErrorChecker() {
+/* options are: flagConsoleOutput, to report console calls as side effects,
+   ruleProfile, the id or object of a profile from ruleProfiles,
+   and code, ast and comments, the code run and what acorn parsed
+   from it, to read fv-ignore comments from */
+function ErrorChecker(options = {}) {
 
-  let warningHandler = new WarningHandler();
+  let functionReport = new FunctionReport();
+  let warningHandler = new WarningHandler(
+    new Suppressions(options.code, options.ast, options.comments),
+    ruleProfiles.getRules(options.ruleProfile),
+    functionReport.recordWarning);
+  let resultRecorder = new ResultRecorder();
 
   function doesFunctionReturn(state, node) {
     // check for explicit return of function
@@ -19,26 +32,151 @@ function ErrorChecker() {
       }
     } else {
       conditionMet = false;
-      warningHandler.add({
-        key: 'functionDoesNotReturnValue',
-        actingNode: node,
-      });
+      // forEach ignores what its callback returns
+      if (!astTools.isBuiltinNode(state.node)) {
+        warningHandler.add({
+          key: 'functionDoesNotReturnValue',
+          actingNode: node,
+          // the function's name, or the function if it has none
+          codeNode: state.func_ && (state.func_.node.id || state.func_.node),
+        });
+      }
     }
     return conditionMet;
   }
 
+  // =========================
+  // Reads of mutable outer variables
+  // =========================
+
+  function findDeclaringNode(updateNode, variableName) {
+    let node = updateNode.parentNode;
+    while (node && !includes(node.variablesDeclaredInScope, variableName)) {
+      node = node.parentNode;
+    }
+    return node || null;
+  }
+
+  function addOuterReadWarning(read, declaringNode, variableName) {
+    return warningHandler.add({
+      key: 'readsMutableOuterVariable',
+      actingNode: read.readingNode,
+      affectedNode: declaringNode,
+      variableName,
+      codeNode: read.codeNode,
+    });
+  }
+
+  /* functions that read the variable before it was mutated
+     only turn out to depend on mutable state now. */
+  function setVariableMutated(declaringNode, variableName) {
+    declaringNode.mutatedVariables.add(variableName);
+    let reads = declaringNode.outerReaders.get(variableName);
+    if (reads) {
+      reads.forEach((read) => {
+        addOuterReadWarning(read, declaringNode, variableName);
+      });
+      declaringNode.outerReaders.delete(variableName);
+    }
+  }
+
+  /* a function reading a variable declared in an ancestor's scope,
+     rather than passed to it, depends on that variable not changing.
+     Only warns if it is mutated at some point during the run, so
+     constants are fine; value is the one read, so functions are too. */
+  function isMutableOuterVariableRead(state, updateNode, value) {
+    let node = state.node;
+    // components are assignment targets and callees, not reads
+    if (node.type !== 'Identifier' || state.components ||
+      includes(updateNode.variablesDeclaredInScope, node.name) ||
+      (value && value.type === 'function')) {
+      return false;
+    }
+    let declaringNode = findDeclaringNode(updateNode, node.name);
+    if (!declaringNode) {
+      return false;
+    }
+    let read = {
+      readingNode: updateNode,
+      codeNode: node,
+    };
+    if (declaringNode.mutatedVariables.has(node.name)) {
+      // only show a step for the first read
+      let alreadyWarned = updateNode.warningsInScope.has(node.name);
+      return addOuterReadWarning(read, declaringNode, node.name) && !alreadyWarned;
+    }
+    if (!declaringNode.outerReaders.has(node.name)) {
+      declaringNode.outerReaders.set(node.name, []);
+    }
+    // the first read by each function is the one to mark
+    let reads = declaringNode.outerReaders.get(node.name);
+    if (!reads.some((earlierRead) => {
+      return earlierRead.readingNode === updateNode;
+    })) {
+      reads.push(read);
+    }
+    return false;
+  }
+
+  // built-in methods that change the array they are called on
+  const mutatorMethods = [
+    'push', 'pop', 'shift', 'unshift', 'splice',
+    'sort', 'reverse', 'fill', 'copyWithin',
+  ];
+
+  // e.g. numbers.push(1), once the native has been called
+  function isMutatorMethodCall(state) {
+    let callee = state.node.callee;
+    return Boolean(state.node.type === 'CallExpression' && state.doneExec &&
+      callee.type === 'MemberExpression' && !callee.computed &&
+      includes(mutatorMethods, callee.property.name) &&
+      state.func_ && state.func_.nativeFunc);
+  }
+
+  /* the expression an assignment, ++/--, delete or mutator method
+     call is about to change, once its operands have been evaluated.
+     null if the state doesn't mutate anything. */
+  function getMutatedExpression(state) {
+    let node = state.node;
+    if (node.type === 'AssignmentExpression' &&
+      (state.doneLeft === true && state.doneRight === true)) {
+      return node.left;
+    }
+    if ((node.type === 'UpdateExpression' ||
+        (node.type === 'UnaryExpression' && node.operator === 'delete')) &&
+      state.done === true) {
+      return node.argument;
+    }
+    if (isMutatorMethodCall(state)) {
+      return node.callee.object;
+    }
+    return null;
+  }
+
   function isVariableMutated(state, updateNode) {
     let errorMessageAlreadyGivenForVar = false;
     let assignmentMade = false;
-    if (state.node.type === 'AssignmentExpression' &&
-      (state.doneLeft === true && state.doneRight === true)) {
+    // false if the code accepts the mutation with an fv-ignore comment
+    let warningAdded = false;
+    let mutatedExpression = getMutatedExpression(state);
+    // the variable holding the mutated value, e.g. numbers for numbers[0]
+    let assignedExpression = (mutatedExpression) ?
+      astTools.getEndMemberExpression(mutatedExpression) : undefined;
+    if (assignedExpression !== undefined) {
       assignmentMade = true;
 
-      let assignedExpression = (state.node.left.type !== 'MemberExpression') ?
-        state.node.left.name : astTools.getEndMemberExpression(state.node.left);
       errorMessageAlreadyGivenForVar = (updateNode.warningsInScope.has(assignedExpression));
 
-      if (!(includes(updateNode.variablesDeclaredInScope, assignedExpression))) {
+      if (astTools.getMemberRoot(mutatedExpression).type !== 'Identifier') {
+        // this.items.push(x) or getList().push(x): there's no variable
+        // to look up, so the object is one from outside the function
+        warningAdded = warningHandler.add({
+          key: 'objectMutatedOutOfScope',
+          actingNode: updateNode,
+          variableName: assignedExpression,
+          codeNode: state.node,
+        });
+      } else if (!(includes(updateNode.variablesDeclaredInScope, assignedExpression))) {
         let nodeContainingVar = updateNode;
         let varPresentInScope = false;
         while (nodeContainingVar.parentNode !== null && !varPresentInScope) {
@@ -47,28 +185,141 @@ function ErrorChecker() {
         }
         if (varPresentInScope) {
           // highlight both the mutation node and the affected node
-          warningHandler.add({
+          warningAdded = warningHandler.add({
             key: 'variableMutatedOutOfScope',
             actingNode: updateNode,
             affectedNode: nodeContainingVar,
             variableName: assignedExpression,
+            codeNode: state.node,
           });
+          setVariableMutated(nodeContainingVar, assignedExpression);
         } else {
-          warningHandler.add({
+          warningAdded = warningHandler.add({
             key: 'variableDoesNotExist',
             actingNode: updateNode,
             variableName: assignedExpression,
+            codeNode: state.node,
           });
         }
       } else {
-        warningHandler.add({
+        warningAdded = warningHandler.add({
           key: 'variableMutatedInScope',
           actingNode: updateNode,
           variableName: assignedExpression,
+          codeNode: state.node,
         });
+        setVariableMutated(updateNode, assignedExpression);
       }
     }
-    return (assignmentMade && !errorMessageAlreadyGivenForVar);
+    return (assignmentMade && warningAdded && !errorMessageAlreadyGivenForVar);
+  }
+
+  // natives can't be stepped into, so go by the
+  // purity they were given in the builtinRegistry
+  function isImpureBuiltinCalled(state, updateNode) {
+    let func = state.func_;
+    if (state.node.type !== 'CallExpression' || !state.doneExec ||
+      !func || state.purityChecked_) {
+      return false;
+    }
+    state.purityChecked_ = true;
+    let key = null;
+    if (func.purity_ === 'impure') {
+      key = 'impureBuiltinCalled';
+    } else if (func.purity_ === 'io' && options.flagConsoleOutput) {
+      key = 'consoleOutputWritten';
+    }
+    if (!key) {
+      return false;
+    }
+    return warningHandler.add({
+      key,
+      actingNode: updateNode,
+      variableName: func.builtinName_,
+      codeNode: state.node,
+    });
+  }
+
+  /* the same call may give a different result each time, e.g.
+     Math.random() or Date.now(). new Date(2015, 0, 1) is fine, though,
+     only the current date is non-deterministic. Only reported inside
+     functions; the Program itself has to get its input somewhere. */
+  function isNonDeterministicCall(state, updateNode) {
+    let node = state.node;
+    let func = state.func_;
+    if (!(node.type === 'CallExpression' || node.type === 'NewExpression') ||
+      !state.doneExec || !func || func.purity_ !== 'nondeterministic' ||
+      state.determinismChecked_ || updateNode.parentNode === null) {
+      return false;
+    }
+    state.determinismChecked_ = true;
+    if (node.type === 'NewExpression' && node.arguments.length > 0) {
+      return false;
+    }
+    return warningHandler.add({
+      key: 'nonDeterministicCall',
+      actingNode: updateNode,
+      variableName: func.builtinName_,
+      codeNode: node,
+    });
+  }
+
+  function getArgumentsRecord(args, values) {
+    return {
+      key: args.map((arg) => {
+        return values.toKey(arg);
+      }).join('|'),
+      text: '(' + args.map((arg) => {
+        return values.toDisplayString(arg, true);
+      }).join(', ') + ')',
+    };
+  }
+
+  /* once a call's arguments are evaluated, before the function runs:
+     it may go on to mutate them, and it's what it was called with
+     that the result is compared by. */
+  function recordCallArguments(callState, values) {
+    if (callState.doneExec && callState.arguments && !callState.argumentsRecord_) {
+      callState.argumentsRecord_ = getArgumentsRecord(callState.arguments, values);
+    }
+  }
+
+  /* on exit, compares the result with any earlier call with equal
+     arguments. values are the InterpreterValues helpers. */
+  function isResultInconsistent(state, exitingNode, values) {
+    if (!state.func_ || !state.arguments) {
+      return false;
+    }
+    let args = state.argumentsRecord_ || getArgumentsRecord(state.arguments, values);
+    let previous = resultRecorder.record(state.func_, exitingNode.name, args, {
+      key: values.toKey(state.value),
+      text: values.toDisplayString(state.value, true),
+    });
+    if (!previous) {
+      return false;
+    }
+    return warningHandler.add({
+      key: 'nonDeterministicResult',
+      actingNode: exitingNode,
+      variableName: args.text,
+      codeNode: state.node,
+    });
+  }
+
+  function takeStepWarnings() {
+    return warningHandler.takeStepWarnings();
+  }
+
+  function getResultReport() {
+    return resultRecorder.getReport();
+  }
+
+  function recordFunctionCall(node) {
+    functionReport.recordCall(node);
+  }
+
+  function getFunctionReport() {
+    return functionReport.getReport(resultRecorder.getReport());
   }
 
   function getErrorCountAndCurrentWarning() {
@@ -77,19 +328,54 @@ function ErrorChecker() {
     ];
   }
 
-  function addUnassignedFunctionWarning(actingNode, affectedNode) {
+  function addUnassignedFunctionWarning(actingNode, affectedNode, callNode) {
     warningHandler.add({
       key: 'functionReturnUnassigned',
       actingNode,
       affectedNode,
+      codeNode: callNode,
+    });
+  }
+
+  // catchingNode is null if the exception wasn't caught
+  function addExceptionWarning(throwingNode, catchingNode, message, codeNode) {
+    warningHandler.add({
+      key: (catchingNode) ? 'exceptionCaught' : 'uncaughtException',
+      actingNode: throwingNode,
+      affectedNode: catchingNode,
+      // there's no telling which exceptions the run was meant to end with
+      required: !catchingNode,
+      variableName: message,
+      codeNode,
+    });
+  }
+
+  function addBudgetExceededWarning(key, actingNode, codeNode) {
+    // the run stops either way, so always say why
+    warningHandler.add({
+      key,
+      actingNode,
+      codeNode,
+      required: true,
     });
   }
 
   return {
     doesFunctionReturn,
     isVariableMutated,
+    isMutableOuterVariableRead,
+    isImpureBuiltinCalled,
+    isNonDeterministicCall,
+    recordCallArguments,
+    isResultInconsistent,
+    getResultReport,
+    recordFunctionCall,
+    getFunctionReport,
     getErrorCountAndCurrentWarning,
+    takeStepWarnings,
     addUnassignedFunctionWarning,
+    addExceptionWarning,
+    addBudgetExceededWarning,
   };
 
 }
@@ -0,0 +1,145 @@
+import {includes} from 'lodash';
+
+/* the report card shown at the end of a run: for every function
+   called (by name), how often and how deeply it recursed, and the
+   warnings it was blamed for. Warnings are classified as the rule
+   profile left them: those suppressed or turned off aren't counted,
+   and those it made notices, or gave no weight, only make a function
+   locally impure. */
+
+// from best to worst
+const classifications = ['pure', 'locally impure', 'impure'];
+
+// warnings that only make a function locally impure
+const localKeys = ['variableMutatedInScope', 'functionReturnUnassigned'];
+// and those that don't count against it at all
+const neutralKeys = ['exceptionCaught'];
+
+function FunctionReport() {
+
+  let records = new Map();
+
+  function getRecord(name) {
+    if (!records.has(name)) {
+      records.set(name, {
+        name,
+        calls: 0,
+        maxRecursionDepth: 0,
+        missingReturns: 0,
+        mutationsInScope: new Set(),
+        mutationsOutOfScope: new Set(),
+        unassignedResults: 0,
+        otherWarnings: 0,
+        impureKey: null,
+        // a warning that isn't local, but that the profile discounted
+        discountedKey: null,
+      });
+    }
+    return records.get(name);
+  }
+
+  // node is the d3 node entered; recursion is counted by name up its parents
+  function recordCall(node) {
+    let functionRecord = getRecord(node.name);
+    let depth = 1;
+    let parentNode = node.parentNode;
+    while (parentNode) {
+      depth += (parentNode.name === node.name) ? 1 : 0;
+      parentNode = parentNode.parentNode;
+    }
+    functionRecord.calls++;
+    functionRecord.maxRecursionDepth = Math.max(functionRecord.maxRecursionDepth, depth);
+  }
+
+  // warning as given by the WarningHandler, for the function it blames
+  function recordWarning(warning) {
+    if (includes(neutralKeys, warning.key)) {
+      return;
+    }
+    let functionRecord = getRecord(warning.actingNodeName || 'Program');
+    switch (warning.key) {
+    case 'functionDoesNotReturnValue':
+      functionRecord.missingReturns++;
+      break;
+    case 'variableMutatedInScope':
+      functionRecord.mutationsInScope.add(warning.variableName);
+      break;
+    case 'variableMutatedOutOfScope':
+    case 'objectMutatedOutOfScope':
+    case 'variableDoesNotExist':
+      functionRecord.mutationsOutOfScope.add(warning.variableName);
+      break;
+    case 'functionReturnUnassigned':
+      functionRecord.unassignedResults++;
+      break;
+    default:
+      functionRecord.otherWarnings++;
+    }
+    if (includes(localKeys, warning.key)) {
+      return;
+    }
+    if (warning.status === 'notice' || !warning.errorValue) {
+      functionRecord.discountedKey = warning.key;
+    } else {
+      functionRecord.impureKey = warning.key;
+    }
+  }
+
+  // inconsistent results are classified by the nonDeterministicResult
+  // warning instead, so that the profile applies to them too
+  function classify(functionRecord) {
+    if (functionRecord.impureKey) {
+      return 'impure';
+    }
+    if (functionRecord.mutationsInScope.size || functionRecord.unassignedResults ||
+      functionRecord.discountedKey) {
+      return 'locally impure';
+    }
+    return 'pure';
+  }
+
+  /* resultReport is the ResultRecorder's, for whether each function
+     always gave equal results for equal arguments. Returns
+     {functions, classification}, the latter being the worst of any
+     function. Warnings blamed on no function at all count towards it,
+     but aren't listed, as only functions that were called are. */
+  function getReport(resultReport = []) {
+    let worst = 0;
+    let functions = [];
+    records.forEach((functionRecord) => {
+      // closures of the same name are recorded apart there
+      let consistent = resultReport.every((result) => {
+        return result.name !== functionRecord.name || result.consistent;
+      });
+      let classification = classify(functionRecord);
+      worst = Math.max(worst, classifications.indexOf(classification));
+      if (functionRecord.calls === 0) {
+        return;
+      }
+      functions.push({
+        name: functionRecord.name,
+        calls: functionRecord.calls,
+        maxRecursionDepth: functionRecord.maxRecursionDepth,
+        alwaysReturned: functionRecord.missingReturns === 0,
+        mutationsInScope: Array.from(functionRecord.mutationsInScope),
+        mutationsOutOfScope: Array.from(functionRecord.mutationsOutOfScope),
+        unassignedResults: functionRecord.unassignedResults,
+        otherWarnings: functionRecord.otherWarnings,
+        consistent,
+        classification,
+      });
+    });
+    return {
+      functions,
+      classification: classifications[worst],
+    };
+  }
+
+  return {
+    recordCall,
+    recordWarning,
+    getReport,
+  };
+}
+
+export default FunctionReport;
@@ -0,0 +1,58 @@
+/* records what each function returned for each set of arguments,
+   checking referential transparency by observation rather than
+   by heuristic: called with equal arguments, a function should
+   always return an equal result. Arguments and results are passed
+   as {key, text}, key for comparing and text for display. */
+
+function ResultRecorder() {
+
+  // by interpreter function object, so closures are told apart
+  let records = new Map();
+
+  /* returns the earlier result the first time this result differs
+     from it for these arguments, otherwise null. */
+  function record(func, name, args, result) {
+    if (!records.has(func)) {
+      records.set(func, {
+        name,
+        calls: 0,
+        results: {},
+        inconsistentInputs: [],
+      });
+    }
+    let functionRecord = records.get(func);
+    functionRecord.calls++;
+    let previous = functionRecord.results[args.key];
+    if (!previous) {
+      functionRecord.results[args.key] = result;
+      return null;
+    }
+    if (previous.key === result.key ||
+      functionRecord.inconsistentInputs.indexOf(args.text) !== -1) {
+      return null;
+    }
+    functionRecord.inconsistentInputs.push(args.text);
+    return previous;
+  }
+
+  // one entry per function: consistent, or the inputs it wasn't on
+  function getReport() {
+    let report = [];
+    records.forEach((functionRecord) => {
+      report.push({
+        name: functionRecord.name,
+        calls: functionRecord.calls,
+        consistent: functionRecord.inconsistentInputs.length === 0,
+        inconsistentInputs: functionRecord.inconsistentInputs.slice(),
+      });
+    });
+    return report;
+  }
+
+  return {
+    record,
+    getReport,
+  };
+}
+
+export default ResultRecorder;
@@ -0,0 +1,93 @@
+import estraverse from 'estraverse';
+import {includes} from 'lodash';
+import astTools from '../../../../astTools/astTools.js';
+
+/* warnings the code has accepted with comments, e.g.
+     total = total + x; // fv-ignore variableMutatedInScope
+   skips that warning for the line it is on; on a line of its own
+   it is for the line below. Without keys, every warning there is skipped.
+     /* fv-allow-mutation *\/
+     function reduce(array, iteratee, accumulator) {...}
+   accepts the mutations made in the function directly below.
+   comments are as collected by acorn's onComment, from parsing code to ast. */
+
+const mutationKeys = [
+  'variableMutatedInScope', 'variableMutatedOutOfScope', 'objectMutatedOutOfScope',
+];
+
+function Suppressions(code = '', ast = null, comments = []) {
+
+  // line number (as in acorn locations) to the keys ignored on it, or true for all
+  let ignoredLines = new Map();
+  // {start, end} offsets of functions whose mutations are allowed
+  let allowedMutationRanges = [];
+
+  function isOnOwnLine(comment) {
+    let lineStart = code.lastIndexOf('\n', comment.start - 1) + 1;
+    return code.slice(lineStart, comment.start).trim() === '';
+  }
+
+  function ignoreLine(line, keys) {
+    let ignored = ignoredLines.get(line);
+    if (ignored === true || keys.length === 0) {
+      ignoredLines.set(line, true);
+    } else {
+      ignoredLines.set(line, (ignored || []).concat(keys));
+    }
+  }
+
+  // the first function starting after the comment, on its last line or the next
+  function findFunctionBelow(comment) {
+    let found = null;
+    if (ast) {
+      estraverse.traverse(ast, {
+        enter(node) {
+          if ((node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') &&
+            node.start >= comment.end && node.loc.start.line <= comment.loc.end.line + 1) {
+            found = node;
+            this.break();
+          }
+        },
+      });
+    }
+    return found;
+  }
+
+  comments.forEach((comment) => {
+    let words = comment.value.trim().split(/[\s,]+/);
+    if (words[0] === 'fv-ignore') {
+      let line = (isOnOwnLine(comment)) ?
+        comment.loc.end.line + 1 : comment.loc.start.line;
+      ignoreLine(line, words.slice(1).filter(Boolean));
+    } else if (words[0] === 'fv-allow-mutation') {
+      let funcNode = findFunctionBelow(comment);
+      if (funcNode) {
+        allowedMutationRanges.push({
+          start: funcNode.start,
+          end: funcNode.end,
+        });
+      }
+    }
+  });
+
+  // codeNode is the AST node the warning is about, as given to the WarningHandler
+  function isSuppressed(key, codeNode) {
+    if (!codeNode || !codeNode.loc || astTools.isBuiltinNode(codeNode)) {
+      return false;
+    }
+    let ignored = ignoredLines.get(codeNode.loc.start.line);
+    if (ignored === true || includes(ignored, key)) {
+      return true;
+    }
+    return includes(mutationKeys, key) &&
+      allowedMutationRanges.some((range) => {
+        return codeNode.start >= range.start && codeNode.end <= range.end;
+      });
+  }
+
+  return {
+    isSuppressed,
+  };
+}
+
+export default Suppressions;
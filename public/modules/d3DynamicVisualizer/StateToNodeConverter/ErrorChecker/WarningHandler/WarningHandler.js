@@ -1,29 +1,64 @@
 import warningConstants from './warningConstants.js';
+import astTools from '../../../../astTools/astTools.js';
 
 // tracks the warnings for each step and overall count.
 // modifies properties on the passed nodes directly for
-// use by d3.
+// use by d3. suppressions are the warnings the code
+// has accepted with fv-ignore comments (see Suppressions),
+// rules the level and weight of each, from ruleProfiles,
+// and onAdd is called with each warning added.
 
-function WarningHandler() {
+function WarningHandler(suppressions, rules = {}, onAdd = null) {
 
   let errorCount = 0;
   let warning = null;
+  // every warning added since the last takeStepWarnings, most important first
+  let stepWarnings = [];
 
   /* options are:  warningString, actingNode,
-  affectedNode, singleInstance,*/
+  affectedNode, singleInstance, codeNode (the offending
+  AST node, whose range the Editor marks), and required,
+  for warnings that can't be turned off.
+  Returns false if the warning was suppressed or is off. */
   function add(opts) {
+    let rule = rules[opts.key] || {};
+    if ((rule.level === 'off' && !opts.required) ||
+      (suppressions && suppressions.isSuppressed(opts.key, opts.codeNode))) {
+      return false;
+    }
     // will only return one warning per step,
     // so as the more important warnings are lodged
     // first (function returns and assignments),
     // the most important warning is the one shown. 
 
-    // assign warning
+    // assign warning. Later ones in the same step are still
+    // counted and coloured by their own status and errorValue.
+    let actingNodeName = (opts.actingNode) ? opts.actingNode.name : null;
+    let affectedNodeName = (opts.affectedNode) ? opts.affectedNode.name : null;
+    let receivedWarning = warningConstants[opts.key]
+      .get(actingNodeName, affectedNodeName, opts.variableName);
+    // kept as plain data for headless traces
+    Object.assign(receivedWarning, {
+      key: opts.key,
+      actingNodeName,
+      affectedNodeName,
+      actingNodeIndex: (opts.actingNode) ? opts.actingNode.nodeIndex : null,
+      affectedNodeIndex: (opts.affectedNode) ? opts.affectedNode.nodeIndex : null,
+      range: astTools.getCodeLoc(opts.codeNode),
+      variableName: opts.variableName || null,
+    });
+    if (rule.level && rule.level !== 'off') {
+      receivedWarning.status = rule.level;
+    }
+    if (rule.weight !== undefined) {
+      receivedWarning.errorValue = rule.weight;
+    }
     if (!warning) {
-      let receivedWarning = warningConstants[opts.key];
-      warning =
-        receivedWarning.get(
-          (opts.actingNode) ? opts.actingNode.name : null, (opts.affectedNode) ? opts.affectedNode.name : null,
-          opts.variableName);
+      warning = receivedWarning;
+    }
+    stepWarnings.push(receivedWarning);
+    if (onAdd) {
+      onAdd(receivedWarning);
     }
 
 
@@ -31,11 +66,11 @@ function WarningHandler() {
     // don't add 50 errors for 50 mutations of a single array!
     if (opts.variableName) {
       if (!opts.actingNode.warningsInScope.has(opts.variableName)) {
-        errorCount += warning.errorValue;
+        errorCount += receivedWarning.errorValue;
         opts.actingNode.warningsInScope.add(opts.variableName);
       }
     } else {
-      errorCount += warning.errorValue;
+      errorCount += receivedWarning.errorValue;
     }
 
 
@@ -46,11 +81,11 @@ function WarningHandler() {
       if (node) {
         if (node.parentNode !== null) {
           node.status =
-            (node.status !== 'failure') ? warning.status : node.status;
+            (node.status !== 'failure') ? receivedWarning.status : node.status;
         }
       }
     });
-
+    return true;
   }
 
   function getErrorCount() {
@@ -67,8 +102,13 @@ function WarningHandler() {
     return returnWarning;
   }
 
+  function takeStepWarnings() {
+    return stepWarnings.splice(0);
+  }
+
   return {
     add,
+    takeStepWarnings,
     getErrorCount,
     getCurrentWarning,
     getCurrentWarningAndStep,
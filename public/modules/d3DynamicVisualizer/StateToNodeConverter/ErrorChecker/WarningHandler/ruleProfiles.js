@@ -0,0 +1,116 @@
+import {includes} from 'lodash';
+import warningConstants from './warningConstants.js';
+
+/* Rule profiles change how the warnings in warningConstants count.
+   Each rule may set a level of 'off', 'notice', 'warning' or 'failure'
+   in place of the warning's status, and a weight in place of its
+   errorValue (what it adds to the error count); rules left out keep
+   their defaults. A profile may also be given as a plain object
+   of the same form, e.g. read from a JSON file by fv-analyze:
+   {"name": "My profile", "rules": {"variableMutatedInScope": {"level": "failure", "weight": 1}}}
+   The budget warnings stop the run, so can't be turned off. */
+
+const levels = ['off', 'notice', 'warning', 'failure'];
+
+const profiles = {
+  default: {
+    name: 'Default',
+    rules: {},
+  },
+  strictFP: {
+    name: 'Strict FP',
+    rules: {
+      variableMutatedInScope: {level: 'failure', weight: 1},
+      variableMutatedOutOfScope: {level: 'failure', weight: 1},
+      objectMutatedOutOfScope: {level: 'failure', weight: 1},
+      readsMutableOuterVariable: {level: 'failure', weight: 1},
+      impureBuiltinCalled: {level: 'failure', weight: 1},
+      nonDeterministicCall: {level: 'failure', weight: 1},
+      nonDeterministicResult: {level: 'failure', weight: 1},
+    },
+  },
+  // only missing returns matter
+  beginner: {
+    name: 'Beginner',
+    rules: {
+      functionReturnUnassigned: {level: 'notice', weight: 0},
+      variableMutatedOutOfScope: {level: 'off'},
+      objectMutatedOutOfScope: {level: 'off'},
+      variableMutatedInScope: {level: 'off'},
+      readsMutableOuterVariable: {level: 'off'},
+      impureBuiltinCalled: {level: 'off'},
+      nonDeterministicCall: {level: 'off'},
+      nonDeterministicResult: {level: 'off'},
+      consoleOutputWritten: {level: 'off'},
+    },
+  },
+  // for comparing imperative code: only what would be a bug anyway counts
+  imperative: {
+    name: 'Imperative baseline',
+    rules: {
+      functionDoesNotReturnValue: {level: 'notice', weight: 0},
+      functionReturnUnassigned: {level: 'off'},
+      variableMutatedOutOfScope: {level: 'notice', weight: 0},
+      objectMutatedOutOfScope: {level: 'notice', weight: 0},
+      variableMutatedInScope: {level: 'off'},
+      readsMutableOuterVariable: {level: 'off'},
+      impureBuiltinCalled: {level: 'notice', weight: 0},
+      nonDeterministicCall: {level: 'notice', weight: 0},
+      nonDeterministicResult: {level: 'notice', weight: 0},
+      consoleOutputWritten: {level: 'off'},
+    },
+  },
+};
+
+function ruleProfiles() {
+
+  // [{id, name}] of the built-in profiles, for the OptionMenu
+  function getProfileList() {
+    return Object.keys(profiles).map((id) => {
+      return {
+        id,
+        name: profiles[id].name,
+      };
+    });
+  }
+
+  // throws if the profile has rules or levels that don't exist
+  function checkProfile(profile) {
+    if (!profile || !profile.rules || typeof profile.rules !== 'object') {
+      throw new Error('A rule profile needs a rules object.');
+    }
+    Object.keys(profile.rules).forEach((key) => {
+      let rule = profile.rules[key];
+      if (!warningConstants[key]) {
+        throw new Error(`Unknown rule '${key}' in profile '${profile.name}'.`);
+      }
+      if (rule.level !== undefined && !includes(levels, rule.level)) {
+        throw new Error(`Rule '${key}' has level '${rule.level}'; use one of ${levels.join(', ')}.`);
+      }
+      if (rule.weight !== undefined && typeof rule.weight !== 'number') {
+        throw new Error(`Rule '${key}' has a weight that is not a number.`);
+      }
+    });
+    return profile;
+  }
+
+  // profile is the id of a built-in profile, or a profile object
+  function getRules(profile) {
+    if (!profile) {
+      return profiles.default.rules;
+    }
+    if (typeof profile === 'string') {
+      if (!profiles[profile]) {
+        throw new Error(`Unknown rule profile '${profile}'.`);
+      }
+      return profiles[profile].rules;
+    }
+    return checkProfile(profile).rules;
+  }
+
+  return {
+    getProfileList, checkProfile, getRules,
+  };
+}
+
+export default ruleProfiles();
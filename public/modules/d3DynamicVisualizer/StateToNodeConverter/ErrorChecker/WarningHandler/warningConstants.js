@@ -29,6 +29,16 @@ const warnings = {
       };
     },
   },
+  objectMutatedOutOfScope: {
+    get: (name, affectedNodeName, expression) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Side effects',
+        message: `Function '${name}' has mutated an object it reached through '${expression}', which it did not create.`,
+      };
+    },
+  },
   variableDoesNotExist: {
     get: (name, affectedNodeName, variableName) => {
       return {
@@ -49,6 +59,107 @@ const warnings = {
       };
     },
   },
+  readsMutableOuterVariable: {
+    get: (name, declarationScopeName, variableName) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Referential transparency',
+        message: `Function '${name}' reads variable '${variableName}' from the scope of function '${declarationScopeName}', which is mutated during the run. Pass it as an argument instead.`,
+      };
+    },
+  },
+  impureBuiltinCalled: {
+    get: (name, affectedNodeName, builtinName) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Side effects',
+        message: `Function '${name}' called '${builtinName}', which has side effects.`,
+      };
+    },
+  },
+  nonDeterministicCall: {
+    get: (name, affectedNodeName, builtinName) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Referential transparency',
+        message: `Function '${name}' called '${builtinName}', which can return a different result every time. Pass the value in as an argument instead.`,
+      };
+    },
+  },
+  nonDeterministicResult: {
+    get: (name, affectedNodeName, inputs) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Referential transparency',
+        message: `Function '${name}' returned a different result for the arguments ${inputs} than it did before.`,
+      };
+    },
+  },
+  consoleOutputWritten: {
+    get: (name, affectedNodeName, builtinName) => {
+      return {
+        errorValue: 1,
+        status: 'warning',
+        action: 'Principle: Side effects (I/O)',
+        message: `Function '${name}' wrote to the console with '${builtinName}', which is a side effect.`,
+      };
+    },
+  },
+  uncaughtException: {
+    get: (name, affectedNodeName, message) => {
+      return {
+        errorValue: 1,
+        status: 'failure',
+        action: 'Stopped: uncaught exception',
+        message: `Function '${name}' threw '${message}', which nothing caught.`,
+      };
+    },
+  },
+  exceptionCaught: {
+    get: (name, affectedNodeName, message) => {
+      return {
+        errorValue: 0,
+        status: 'notice',
+        action: 'Principle: Error handling (notice only)',
+        message: `'${message}', thrown in function '${name}', was caught by function '${affectedNodeName}'.`,
+      };
+    },
+  },
+  // the StepRunner budgets, which stop the run
+  interpreterStepsExceeded: {
+    get: (name) => {
+      return {
+        errorValue: 1,
+        status: 'failure',
+        action: 'Stopped: step limit reached',
+        message: `Function '${name}' was still running after the maximum number of interpreter steps. Is it looping forever?`,
+      };
+    },
+  },
+  scopeDepthExceeded: {
+    get: (name) => {
+      return {
+        errorValue: 1,
+        status: 'failure',
+        action: 'Stopped: call depth limit reached',
+        message: `Function '${name}' has recursed past the maximum call depth. Is it missing a base case?`,
+      };
+    },
+  },
+  interpretingTimeExceeded: {
+    get: (name) => {
+      return {
+        errorValue: 1,
+        status: 'failure',
+        action: 'Stopped: interpreting time limit reached',
+        message: `Function '${name}' was still running when the interpreting time limit was reached. Is it looping forever?`,
+      };
+    },
+  },
 };
 
 export default warnings;
@@ -9,13 +9,16 @@
 // a display update step.
 // =============================================
 
-import {last} from 'lodash';
+import {find, last} from 'lodash';
+import astTools from '../../astTools/astTools.js';
 // import formatOutput from '../d3DynamicVisualizer/formatOutput.js';
 import DisplayTextHandler from './DisplayTextHandler/DisplayTextHandler.js';
 import StringTokenizer from './DisplayTextHandler/StringTokenizer/StringTokenizer.js';
 import ErrorChecker from './ErrorChecker/ErrorChecker.js';
+import InterpreterValues from '../jsInterpreterInit/InterpreterValues.js';
 
-function StateToNodeConverter(resetNodes, resetLinks) {
+// checkOptions are passed on to the ErrorChecker
+function StateToNodeConverter(resetNodes, resetLinks, checkOptions) {
 
   // these variables are all modified by the
   // add, remove and update helpers, though all variables
@@ -25,11 +28,16 @@ function StateToNodeConverter(resetNodes, resetLinks) {
   let links = resetLinks;
   // responsible for handling string tokenization and update
   let displayTextHandler = new DisplayTextHandler();
-  let errorChecker = new ErrorChecker();
+  let errorChecker = new ErrorChecker(checkOptions);
+  // created with the first interpreter seen, for comparing its values
+  let interpreterValues = null;
   // use custom link index for d3 links and nodes, as otherwise they do not
   // re-associate reliably on popping off the end of the array and shifting
   // onto the front .
   let linkIndex = 0;
+  // likewise for nodes, which also identifies them
+  // once serialized (d3 assigns its own index property).
+  let nodeIndex = 0;
   // used to track current and previous interpreter state, 
   // to make inferences about what is happening. Try to limit use
   // of prevState.
@@ -53,6 +61,90 @@ function StateToNodeConverter(resetNodes, resetLinks) {
   // the next state is then checked to ensure that the
   // return result is assigned back to a variable.
   let exitingNode = null;
+  // and the call it returned from
+  let exitingCallNode = null;
+
+  // what the last displayed step did to the graph:
+  // 'entering', 'exiting' or 'updating'. Used by the Sequencer
+  // to decide where step into/over/out runs should stop.
+  let lastActionType = null;
+  // all the warnings of the last displayed step, not only the one
+  // returned by action; those of steps that aren't shown are repeats.
+  let stepWarnings = [];
+
+  function getInterpreterValues(interpreter) {
+    if (!interpreterValues) {
+      interpreterValues = new InterpreterValues(interpreter);
+    }
+    return interpreterValues;
+  }
+
+  // =========================
+  // Callee helpers
+  // =========================
+  function isMemberCall(callState) {
+    return Boolean(callState.node.callee && callState.node.callee.type === 'MemberExpression');
+  }
+
+  // natives are black boxes; interpreted functions keep their AST node
+  function isUserFunction(value) {
+    return Boolean(value && !value.isPrimitive && value.node && !value.nativeFunc);
+  }
+
+  /* looks up the function a callee such as utils.compose or
+     this.method (or any identifier) refers to before the interpreter evaluates it,
+     without evaluating anything that could have side effects.
+     Returns null where that isn't possible, e.g. obj[getKey()] */
+  function getCalleeValue(node, interpreter) {
+    if (node.type === 'Identifier') {
+      let scope = interpreter.getScope();
+      while (scope) {
+        if (Object.prototype.hasOwnProperty.call(scope.properties, node.name)) {
+          return scope.properties[node.name];
+        }
+        scope = scope.parentScope;
+      }
+    } else if (node.type === 'ThisExpression') {
+      // kept on the state of the running function's body, not in its scope
+      let bodyState = find(interpreter.stateStack, 'thisExpression');
+      return (bodyState) ? bodyState.thisExpression : null;
+    } else if (node.type === 'MemberExpression') {
+      let object = getCalleeValue(node.object, interpreter);
+      let propertyName = null;
+      if (!node.computed) {
+        propertyName = node.property.name;
+      } else if (node.property.type === 'Literal') {
+        propertyName = String(node.property.value);
+      }
+      if (object && !object.isPrimitive && propertyName !== null) {
+        return interpreter.getProperty(object, propertyName);
+      }
+    }
+    return null;
+  }
+
+  /* builtins such as map are shown under their own name rather than
+     as numbers.map, and the calls they make under the name of the
+     function passed to them, as that is what is running. */
+  function getFunctionName(callState, interpreter) {
+    let callee = callState.node.callee;
+    let value = (callee.type !== 'FunctionExpression') ?
+      getCalleeValue(callee, interpreter) : null;
+    if (isUserFunction(value) && astTools.isBuiltinNode(value.node)) {
+      return value.node.id.name;
+    }
+    if (astTools.isBuiltinNode(callState.node)) {
+      return (value && value.node && value.node.id) ? value.node.id.name : 'anonymous';
+    }
+    if (isMemberCall(callState)) {
+      return astTools.createCode(callee);
+    }
+    if (callee.name || callee.id) {
+      return callee.name || callee.id.name;
+    }
+    // compose(f, g)(x) or an anonymous IIFE: not known until it runs
+    return 'anonymous';
+  }
 
   // ===============================================
   // Main action method. Runs add, remove and update
@@ -71,6 +163,17 @@ function StateToNodeConverter(resetNodes, resetLinks) {
 
     if (state) {
 
+      // the call whose function has just started, if visualized
+      let callState = interpreter.stateStack[1];
+      if (callState && callState.callVisualized_) {
+        errorChecker.recordCallArguments(callState, getInterpreterValues(interpreter));
+      }
+
+      if (exitingNode && astTools.isBuiltinNode(exitingCallNode)) {
+        // filter and the like test their callback's result in an if,
+        // and forEach drops it, which is not for the user to fix
+        exitingNode = null;
+      }
       if (exitingNode) {
         // make sure the returned function is 
         // then assigned to a variable, before
@@ -79,26 +182,43 @@ function StateToNodeConverter(resetNodes, resetLinks) {
           isFunctionReturnUnassigned(state, exitingNode);
       }
 
-      nodeEnterOrExit = (
-        isNodeEntering(state, interpreter) ||
-        isNodeExiting(state, interpreter, maxAllowedReturnNodes)
-      );
+      let nodeEntering = isNodeEntering(state, interpreter);
+      let nodeExiting = !nodeEntering &&
+        isNodeExiting(state, interpreter, maxAllowedReturnNodes);
+      nodeEnterOrExit = (nodeEntering || nodeExiting);
+      lastActionType = 'updating';
+      if (nodeEntering) {
+        lastActionType = 'entering';
+      } else if (nodeExiting) {
+        lastActionType = 'exiting';
+      }
 
       let updateNode = last(scopeChain) || null;
 
       if (!nodeEnterOrExit && updateNode) {
         currentNodeUpdated =
           displayTextHandler.doesDisplayNameNeedUpdating(state, updateNode, interpreter);
-        variableErrors = errorChecker.isVariableMutated(state, updateNode);
+        // builtins mutate their own locals, that's not for the user to fix
+        if (!astTools.isBuiltinNode(state.node)) {
+          variableErrors = errorChecker.isVariableMutated(state, updateNode) ||
+            errorChecker.isImpureBuiltinCalled(state, updateNode) ||
+            errorChecker.isNonDeterministicCall(state, updateNode) ||
+            (state.node.type === 'Identifier' &&
+              errorChecker.isMutableOuterVariableRead(
+                state, updateNode, getCalleeValue(state.node, interpreter)));
+        }
       }
     }
     if (rootNode) {
       [rootNode.errorCount, currentWarning] =
       errorChecker.getErrorCountAndCurrentWarning();
     }
+    let doneAction = (nodeEnterOrExit || functionReturnUnassigned ||
+      variableErrors || currentNodeUpdated);
+    let warnings = errorChecker.takeStepWarnings();
+    stepWarnings = (doneAction) ? warnings : [];
     return [
-      (nodeEnterOrExit || functionReturnUnassigned ||
-        variableErrors || currentNodeUpdated),
+      doneAction,
       currentWarning,
     ];
   }
@@ -117,28 +237,42 @@ function StateToNodeConverter(resetNodes, resetLinks) {
 
   /**
    * [isNodeEntering - checks to see if new nodes need to be added]
-   * links have linkState: calling and returning
+   * links have linkState: calling, returning and throwing
      nodes have type: root, normal or finished
-     nodes additionally have status: neutral, notice, warning, failure or finished 
+     nodes additionally have status: neutral, notice, warning, failure, throwing or finished 
    */
   function isNodeEntering(state, interpreter) {
     let updateNeeded = false;
 
     function isSupportedFunctionCall(state) {
-      // won't show stepping into and out of member methods (e.g array.slice)
-      // because these are built-ins with black-boxed code.
-      // User functions may also be object properties, but I am not considering
-      // this for this exercise.
-      return (
-        (state.node.type === 'CallExpression' && !state.doneCallee_) &&
-        !(state.node.callee && state.node.callee.type === 'MemberExpression')
-      );
+      // won't show stepping into and out of built-in member methods
+      // (e.g array.slice) because their code is black-boxed, but
+      // user functions stored on objects (utils.compose(f, g)) are shown,
+      // as are builtins called from user code, but not their own helpers.
+      if (state.node.type !== 'CallExpression' || state.doneCallee_) {
+        return false;
+      }
+      let callee = state.node.callee;
+      let value = (callee.type !== 'FunctionExpression') ?
+        getCalleeValue(callee, interpreter) : null;
+      if (isMemberCall(state) && !isUserFunction(value)) {
+        return false;
+      }
+      return !(astTools.isBuiltinNode(state.node) &&
+        isUserFunction(value) && astTools.isBuiltinNode(value.node));
     }
 
-    if (isSupportedFunctionCall(state)) {
+    if (state.node.type === 'CallExpression' && !state.doneCallee_) {
+      // the callee can't be looked up again on return,
+      // by which time its scope may have changed
+      state.callVisualized_ = isSupportedFunctionCall(state);
+    }
+
+    if (state.callVisualized_ && !state.doneCallee_) {
 
       let enterNode = {
-        name: state.node.callee.name || state.node.callee.id.name,
+        nodeIndex: nodeIndex++,
+        name: getFunctionName(state, interpreter),
         parentNode: last(scopeChain) || null,
         paramNames: [],
         interpreterComputedArgs: [],
@@ -147,6 +281,10 @@ function StateToNodeConverter(resetNodes, resetLinks) {
         // generates scope
         variablesDeclaredInScope: null,
         warningsInScope: new Set(),
+        // for the ErrorChecker: variables declared here that have been
+        // mutated, and the functions that read them from outside before then
+        mutatedVariables: new Set(),
+        outerReaders: new Map(),
         type: 'function',
         status: 'normal',
       };
@@ -171,6 +309,7 @@ function StateToNodeConverter(resetNodes, resetLinks) {
 
       // add nodes and links to d3
       nodes.push(enterNode);
+      errorChecker.recordFunctionCall(enterNode);
       let callLink = getCallLink(enterNode.parentNode, enterNode, 'calling');
       if (callLink) {
         links.push(callLink);
@@ -194,6 +333,7 @@ function StateToNodeConverter(resetNodes, resetLinks) {
       // we'll check on this on future runs
       //  to make sure its result is assigned to a variable 
       exitingNode = last(scopeChain);
+      exitingCallNode = state.node;
 
       if (exitingNode !== rootNode) {
         let link = last(links) || null;
@@ -201,6 +341,7 @@ function StateToNodeConverter(resetNodes, resetLinks) {
           // don't want to come full circle and break links outgoing from root
           exitLink(link);
           exitNode(exitingNode);
+          errorChecker.isResultInconsistent(state, exitingNode, getInterpreterValues(interpreter));
           updateNeeded = true;
           scopeChain.pop();
         }
@@ -224,8 +365,8 @@ function StateToNodeConverter(resetNodes, resetLinks) {
   // =========================
   function isSupportedReturnToCaller(state) {
     return (
-      (state.node.type === 'CallExpression' && state.doneExec) &&
-      !(state.node.callee && state.node.callee.type === 'MemberExpression')
+      state.node.type === 'CallExpression' && state.doneExec &&
+      state.callVisualized_
     );
   }
 
@@ -321,7 +462,8 @@ function StateToNodeConverter(resetNodes, resetLinks) {
 
       return (expressionAssigned || variableWillBeAssignedInScope || callNotFinished);
     }
-    return expressionAssigned;
+    // or it is the function being called, as in add(1)(2)
+    return expressionAssigned || callNotFinished;
   }
 
   function isFunctionReturnUnassigned(state) {
@@ -331,7 +473,8 @@ function StateToNodeConverter(resetNodes, resetLinks) {
     // if the state progresses too far past the return then this potential error
     // just abandoned as it becomes increasingly unreliable to infer.
     if (!(nodeIsBeingAssigned(state.node) || nodeWillBeAssigned(state))) {
-      errorChecker.addUnassignedFunctionWarning(exitingNode, exitingNode.parentNode);
+      errorChecker.addUnassignedFunctionWarning(
+        exitingNode, exitingNode.parentNode, exitingCallNode);
 
       if (links[0] && links[0].source === exitingNode) {
         // break off this link too..but only if the returning link
@@ -391,7 +534,106 @@ function StateToNodeConverter(resetNodes, resetLinks) {
   }
 
   function setFinished() {
-    rootNode.status = 'finished';
+    // a program without any function calls has no root node
+    if (rootNode) {
+      rootNode.status = 'finished';
+    }
+  }
+
+  function getErrorCount() {
+    return (rootNode) ? rootNode.errorCount : 0;
+  }
+
+  // the d3 node of the function currently running
+  function getCurrentNode() {
+    return last(scopeChain) || rootNode;
+  }
+
+  // who to blame for an exception thrown now: the function currently
+  // running and the code it was at, for setThrowing
+  function getThrower() {
+    return {
+      node: getCurrentNode(),
+      codeNode: state && state.node,
+    };
+  }
+
+  /* an exception was thrown by thrower (see getThrower), and the
+     functions it unwinds out of leave along 'throwing' links,
+     up to the one whose try/catch caught it, which is marked as
+     having caught it. keptCalls is how many visualized calls are
+     left on the interpreter's stack: none if nothing caught it,
+     though the root node stays to show the outcome. finalizing is
+     true if it only stopped for a finally block, and goes on up
+     after, so nothing has caught it yet. */
+  function setThrowing(thrower, keptCalls, message, finalizing = false) {
+    let unwinding = scopeChain.length > Math.max(keptCalls, 1);
+    exitingNode = null;
+    while (scopeChain.length > Math.max(keptCalls, 1)) {
+      let node = scopeChain.pop();
+      let link = last(links) || null;
+      if (link && link.target === node) {
+        links.pop();
+        links.unshift(getCallLink(node, link.source, 'throwing'));
+      }
+      node.status = 'throwing';
+      node.displayName = `throw (${message})`;
+      node.updateText = true;
+      // exited like any returned node
+      nodes.splice(nodes.indexOf(node), 1);
+      nodes.unshift(node);
+      rootNodeIndex++;
+    }
+    let catchingNode = (keptCalls > 0) ? last(scopeChain) : null;
+    if (finalizing) {
+      catchingNode = null;
+    } else {
+      if (catchingNode) {
+        catchingNode.caught = true;
+      }
+      errorChecker.addExceptionWarning(thrower.node, catchingNode, message, thrower.codeNode);
+    }
+    let [errorCount, currentWarning] = errorChecker.getErrorCountAndCurrentWarning();
+    if (rootNode) {
+      rootNode.errorCount = errorCount;
+    }
+    lastActionType = (unwinding) ? 'exiting' : 'updating';
+    stepWarnings = errorChecker.takeStepWarnings();
+    return currentWarning;
+  }
+
+  // blames the function currently running for a run that was stopped
+  // by the StepRunner, and returns the warning to show for it.
+  function setBudgetExceeded(warningKey) {
+    errorChecker.addBudgetExceededWarning(warningKey, getCurrentNode(), state && state.node);
+    let [errorCount, currentWarning] = errorChecker.getErrorCountAndCurrentWarning();
+    if (rootNode) {
+      rootNode.errorCount = errorCount;
+    }
+    stepWarnings = errorChecker.takeStepWarnings();
+    return currentWarning;
+  }
+
+  function getLastActionType() {
+    return lastActionType;
+  }
+
+  // per function, whether equal arguments always gave equal results
+  function getResultReport() {
+    return errorChecker.getResultReport();
+  }
+
+  // per function, for the report card at the end of the run
+  function getFunctionReport() {
+    return errorChecker.getFunctionReport();
+  }
+
+  function getStepWarnings() {
+    return stepWarnings;
+  }
+
+  function getScopeDepth() {
+    return scopeChain.length;
   }
 
   return {
@@ -399,6 +641,16 @@ function StateToNodeConverter(resetNodes, resetLinks) {
     action,
     getRepresentedNode,
     setFinished,
+    setBudgetExceeded,
+    setThrowing,
+    getErrorCount,
+    getLastActionType,
+    getScopeDepth,
+    getCurrentNode,
+    getThrower,
+    getResultReport,
+    getFunctionReport,
+    getStepWarnings,
   };
 }
 
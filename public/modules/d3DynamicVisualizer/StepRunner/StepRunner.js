@@ -0,0 +1,336 @@
+/* Runs the interpreter and StateToNodeConverter from one visual
+   step to the next, skipping the interpreter steps that have
+   nothing to show. Keeps no stores or delays of its own,
+   so that it can run in the SequencerWorker as well as headless
+   under node for traceProgram.
+
+   Every call returns a plain result object:
+   {type: 'step', step} with the step serialized,
+   {type: 'pause', execCodeBlock, range, reason} on arriving at
+   a breakpoint or the cursor row,
+   {type: 'finished', step} with the final step, which carries
+   the per-function resultReport and functionReport of the ErrorChecker,
+   {type: 'stopped', step} with a warning naming the function
+   to blame, once one of the limits below is exceeded or an
+   exception goes uncaught (then the step is also thrown), or
+   {type: 'error', action, message}.
+   Steps carry the console lines written since the last one as
+   output: [{method, text, functionName, nodeIndex}], and a console
+   call always makes a step so that its lines are shown with it.
+
+   limits are: maxAllowedReturnNodes, and the budgets
+   maxInterpreterSteps, maxScopeDepth and maxInterpretingTime (ms
+   spent interpreting; the time between calls, when the Sequencer
+   is animating or paused, doesn't count). */
+
+import {includes} from 'lodash';
+import '../jsInterpreterInit/windowShim.js';
+import Interpreter from '../../vendor_mod/JS-Interpreter/interpreter.js';
+import getInitFunc from '../jsInterpreterInit/jsInterpreterInit.js';
+import exceptionHandling from '../jsInterpreterInit/exceptionHandling.js';
+import astTools from '../../astTools/astTools.js';
+import StateToNodeConverter from '../StateToNodeConverter/StateToNodeConverter.js';
+import StepSerializer from '../StepSerializer/StepSerializer.js';
+
+function StepRunner() {
+
+  let nodes = [];
+  let links = [];
+  let interpreter = null;
+  let stateToNodeConverter = null;
+  // written to by the console builtins
+  let output = [];
+  // the lines tagged with the function that wrote them, for the next step
+  let pendingOutput = [];
+  let stepCount = 0;
+  let interpreterSteps = 0;
+  let interpretingTime = 0;
+  // false once the current state has been through the converter;
+  // it is true again after each interpreter step
+  let actionPending = true;
+  // Ace (zero-based) rows to pause on, as for the Sequencer
+  let breakpointRows = [];
+  let cursorRow = null;
+  let previousRow = null;
+
+  function createError(action, e) {
+    return {
+      type: 'error',
+      action,
+      message: e.message || e.toString(),
+    };
+  }
+
+  /* returns an error result if the code cannot be run, null otherwise.
+     options are: builtins, the names of the builtinRegistry helpers
+     to install (all if null), and flagConsoleOutput and ruleProfile
+     for the ErrorChecker. */
+  function initialize(codeString, options = {}) {
+    let runCodeString = astTools.getRunCodeString(codeString.toString().trim());
+    let comments = [];
+    let astWithLocations;
+    try {
+      astWithLocations = astTools.createAst(runCodeString, true, undefined, comments);
+    } catch (e) {
+      return createError('Parser error', e);
+    }
+    try {
+      // the ErrorChecker reads fv-ignore comments from the code
+      stateToNodeConverter = new StateToNodeConverter(nodes, links, {
+        flagConsoleOutput: Boolean(options.flagConsoleOutput),
+        ruleProfile: options.ruleProfile || null,
+        code: runCodeString,
+        ast: astWithLocations,
+        comments,
+      });
+    } catch (e) {
+      return createError('Rule profile error', e);
+    }
+    try {
+      interpreter = new Interpreter(astWithLocations,
+        getInitFunc(options.builtins || null, output));
+      exceptionHandling.addTryStatement(interpreter);
+    } catch (e) {
+      return createError('Interpreter error', e);
+    }
+    return null;
+  }
+
+  function tagOutput() {
+    let node = stateToNodeConverter.getCurrentNode();
+    output.splice(0).forEach((line) => {
+      pendingOutput.push(Object.assign({
+        functionName: (node) ? node.name : null,
+        nodeIndex: (node) ? node.nodeIndex : null,
+      }, line));
+    });
+  }
+
+  // warnings are all those of the step, the first being the one to show
+  function createStep(stepInfo, representedNode, warnings) {
+    return StepSerializer.serializeStep({
+      nodes,
+      links,
+      stepInfo: Object.assign({
+        step: stepCount++,
+        output: pendingOutput.splice(0),
+      }, stepInfo),
+      execCodeBlock: (representedNode) ? astTools.createCode(representedNode) : null,
+      range: astTools.getCodeLoc(representedNode),
+      warning: warnings[0] || null,
+      warnings,
+    });
+  }
+
+  function getStateRow(state) {
+    let codeLoc = state && astTools.getCodeLoc(state.node);
+    return (codeLoc) ? codeLoc.start.row : null;
+  }
+
+  function setBreakpoints(rows) {
+    breakpointRows = rows.slice();
+  }
+
+  // pauses on next arriving at row, or stops doing so if row is null
+  function setCursorRow(row) {
+    cursorRow = row;
+    previousRow = getStateRow(interpreter && interpreter.stateStack[0]);
+  }
+
+  function getCursorRow() {
+    return cursorRow;
+  }
+
+  /* breakpoints pause the first time a statement on their line
+     is reached. The state is marked so that resuming carries on
+     past it rather than pausing on the same statement again. */
+  function isBreakpointReached(state) {
+    let node = state && state.node;
+    if (node && node.loc && !astTools.isBuiltinNode(node) && !state.breakpointPassed_ &&
+      /(Statement|Declaration)$/.test(node.type) &&
+      includes(breakpointRows, node.loc.start.line - 1)) {
+      state.breakpointPassed_ = true;
+      return true;
+    }
+    return false;
+  }
+
+  function isCursorRowReached(state) {
+    let row = getStateRow(state);
+    // builtin code has no row, and leaves previousRow as it was
+    if (cursorRow === null || row === null) {
+      return false;
+    }
+    let reached = (row === cursorRow && previousRow !== cursorRow);
+    previousRow = row;
+    if (reached) {
+      cursorRow = null;
+    }
+    return reached;
+  }
+
+  function createPause(state, reason) {
+    // highlights the code without adding a visual step
+    return {
+      type: 'pause',
+      reason,
+      execCodeBlock: astTools.createCode(state.node),
+      range: astTools.getCodeLoc(state.node),
+    };
+  }
+
+  // returns the warning key for the first budget exceeded, or null
+  function getExceededBudget(limits, startTime) {
+    if (interpreterSteps > limits.maxInterpreterSteps) {
+      return 'interpreterStepsExceeded';
+    }
+    if (stateToNodeConverter.getScopeDepth() > limits.maxScopeDepth) {
+      return 'scopeDepthExceeded';
+    }
+    if (interpretingTime + Date.now() - startTime > limits.maxInterpretingTime) {
+      return 'interpretingTimeExceeded';
+    }
+    return null;
+  }
+
+  function createStop(warningKey) {
+    stateToNodeConverter.setBudgetExceeded(warningKey);
+    return {
+      type: 'stopped',
+      step: createStep({
+        stopped: true,
+        functionReport: stateToNodeConverter.getFunctionReport(),
+        actionType: 'updating',
+        depth: stateToNodeConverter.getScopeDepth(),
+      }, interpreter.stateStack[0].node, stateToNodeConverter.getStepWarnings()),
+    };
+  }
+
+  function countVisualizedCalls() {
+    return interpreter.stateStack.filter((state) => {
+      return state.callVisualized_;
+    }).length;
+  }
+
+  /* hands an exception from the interpreter to the try block around it,
+     if any. One that only stops for a finally block is thrown again
+     once that has run, and comes back here to go on up, still
+     blamed on the function that threw it. */
+  function createThrow(e) {
+    let message = exceptionHandling.getMessage(e);
+    let thrower = exceptionHandling.takeRethrownThrower(interpreter) ||
+      stateToNodeConverter.getThrower();
+    let handled = exceptionHandling.catchException(interpreter, e, thrower);
+    stateToNodeConverter.setThrowing(thrower, (handled) ? countVisualizedCalls() : 0, message,
+      handled === 'finally');
+    let stepInfo = {
+      actionType: stateToNodeConverter.getLastActionType(),
+      depth: stateToNodeConverter.getScopeDepth(),
+    };
+    if (handled) {
+      stateToNodeConverter.nextStep();
+      actionPending = true;
+      return {
+        type: 'step',
+        step: createStep(stepInfo, stateToNodeConverter.getRepresentedNode(),
+          stateToNodeConverter.getStepWarnings()),
+      };
+    }
+    return {
+      type: 'stopped',
+      step: createStep(Object.assign(stepInfo, {
+        stopped: true,
+        thrown: true,
+        functionReport: stateToNodeConverter.getFunctionReport(),
+      }), interpreter.stateStack[0].node, stateToNodeConverter.getStepWarnings()),
+    };
+  }
+
+  function runToNextStep(limits) {
+    let startTime = Date.now();
+    try {
+      for (;;) {
+        if (actionPending) {
+          actionPending = false;
+          let [doneAction] =
+          stateToNodeConverter.action(interpreter, limits.maxAllowedReturnNodes);
+          if (doneAction || pendingOutput.length) {
+            return {
+              type: 'step',
+              step: createStep({
+                actionType: stateToNodeConverter.getLastActionType(),
+                depth: stateToNodeConverter.getScopeDepth(),
+              }, stateToNodeConverter.getRepresentedNode(),
+                (doneAction) ? stateToNodeConverter.getStepWarnings() : []),
+            };
+          }
+        }
+        let exceededBudget = getExceededBudget(limits, startTime);
+        if (exceededBudget) {
+          return createStop(exceededBudget);
+        }
+        interpreterSteps++;
+        let stepped;
+        try {
+          stepped = interpreter.step();
+        } catch (e) {
+          tagOutput();
+          return createThrow(e);
+        }
+        tagOutput();
+        if (!stepped) {
+          stateToNodeConverter.setFinished();
+          return {
+            type: 'finished',
+            step: createStep({
+              finished: true,
+              resultReport: stateToNodeConverter.getResultReport(),
+              functionReport: stateToNodeConverter.getFunctionReport(),
+            }, null, []),
+          };
+        }
+        stateToNodeConverter.nextStep();
+        actionPending = true;
+        let state = interpreter.stateStack[0];
+        if (isBreakpointReached(state)) {
+          return createPause(state, 'breakpoint');
+        }
+        if (isCursorRowReached(state)) {
+          return createPause(state, 'cursor');
+        }
+      }
+    } catch (e) {
+      // the interpreter's own exceptions are the program's (see createThrow),
+      // so these are failures to follow what it did
+      return createError('Interpreter error', e);
+    } finally {
+      interpretingTime += Date.now() - startTime;
+    }
+  }
+
+  // there is no converter if the code couldn't be parsed
+  function getErrorCount() {
+    return (stateToNodeConverter) ? stateToNodeConverter.getErrorCount() : 0;
+  }
+
+  function getResultReport() {
+    return (stateToNodeConverter) ? stateToNodeConverter.getResultReport() : [];
+  }
+
+  function getFunctionReport() {
+    return (stateToNodeConverter) ? stateToNodeConverter.getFunctionReport() : null;
+  }
+
+  return {
+    initialize,
+    setBreakpoints,
+    setCursorRow,
+    getCursorRow,
+    runToNextStep,
+    getErrorCount,
+    getResultReport,
+    getFunctionReport,
+  };
+}
+
+export default StepRunner;
@@ -0,0 +1,152 @@
+/* Converts the d3 nodes and links the StateToNodeConverter
+   builds into plain JSON-safe objects. Nodes refer to each other
+   (parentNode) and d3 adds its own layout properties, so only
+   the properties needed to redraw a step are copied, and
+   references are replaced with nodeIndex ids. */
+
+import {findIndex, indexBy, isEqual, omit} from 'lodash';
+
+function StepSerializer() {
+
+  // of exported traces and traceProgram results,
+  // to be increased when old ones can no longer be replayed
+  const traceVersion = 1;
+
+  function getNodeId(node) {
+    return (node) ? node.nodeIndex : null;
+  }
+
+  function serializeNode(node) {
+    return {
+      nodeIndex: node.nodeIndex,
+      parentIndex: getNodeId(node.parentNode),
+      name: node.name,
+      displayName: node.displayName,
+      type: node.type,
+      status: node.status,
+      errorCount: (node.errorCount !== undefined) ? node.errorCount : null,
+      caught: Boolean(node.caught),
+    };
+  }
+
+  function serializeLink(link) {
+    return {
+      linkIndex: link.linkIndex,
+      source: getNodeId(link.source),
+      target: getNodeId(link.target),
+      linkState: link.linkState,
+    };
+  }
+
+  // range may be an Ace Range or plain loc from astTools.getCodeLoc
+  function serializeRange(range) {
+    return (range) ? {
+      start: {
+        row: range.start.row,
+        column: range.start.column,
+      },
+      end: {
+        row: range.end.row,
+        column: range.end.column,
+      },
+    } : null;
+  }
+
+  function serializeWarning(warning) {
+    if (!warning) {
+      return null;
+    }
+    return {
+      key: warning.key,
+      action: warning.action,
+      message: warning.message,
+      status: warning.status,
+      errorValue: warning.errorValue,
+      actingNodeName: warning.actingNodeName,
+      affectedNodeName: warning.affectedNodeName,
+      actingNodeIndex: (warning.actingNodeIndex !== undefined) ? warning.actingNodeIndex : null,
+      affectedNodeIndex: (warning.affectedNodeIndex !== undefined) ? warning.affectedNodeIndex : null,
+      variableName: warning.variableName,
+      range: serializeRange(warning.range),
+    };
+  }
+
+  /* options are: nodes, links, stepInfo, execCodeBlock, range, warning,
+     and warnings, all those raised in the step (warning being the first). */
+  function serializeStep(opts) {
+    return Object.assign({}, opts.stepInfo, {
+      execCodeBlock: opts.execCodeBlock || null,
+      range: serializeRange(opts.range),
+      warning: serializeWarning(opts.warning),
+      warnings: (opts.warnings || []).map(serializeWarning),
+      nodes: opts.nodes.map(serializeNode),
+      links: opts.links.map(serializeLink),
+    });
+  }
+
+  function getChanged(items, previousItems, key) {
+    let previousByKey = indexBy(previousItems, key);
+    return items.filter((item) => {
+      return !isEqual(item, previousByKey[item[key]]);
+    });
+  }
+
+  /* reduces a serialized step to what has changed since the
+     previous one, to keep messages from the SequencerWorker small.
+     Most steps only add a node or link, or update some text. */
+  function diffStep(previousStep, step) {
+    let previousNodes = (previousStep) ? previousStep.nodes : [];
+    let previousLinks = (previousStep) ? previousStep.links : [];
+    return Object.assign(omit(step, 'nodes', 'links'), {
+      nodeOrder: step.nodes.map((node) => node.nodeIndex),
+      changedNodes: getChanged(step.nodes, previousNodes, 'nodeIndex'),
+      linkOrder: step.links.map((link) => link.linkIndex),
+      changedLinks: getChanged(step.links, previousLinks, 'linkIndex'),
+    });
+  }
+
+  // rebuilds the full serialized step from a diffStep result
+  function patchStep(previousStep, diff) {
+    let nodesByIndex = Object.assign(
+      indexBy((previousStep) ? previousStep.nodes : [], 'nodeIndex'),
+      indexBy(diff.changedNodes, 'nodeIndex'));
+    let linksByIndex = Object.assign(
+      indexBy((previousStep) ? previousStep.links : [], 'linkIndex'),
+      indexBy(diff.changedLinks, 'linkIndex'));
+    return Object.assign(omit(diff, 'nodeOrder', 'changedNodes', 'linkOrder', 'changedLinks'), {
+      nodes: diff.nodeOrder.map((nodeIndex) => nodesByIndex[nodeIndex]),
+      links: diff.linkOrder.map((linkIndex) => linksByIndex[linkIndex]),
+    });
+  }
+
+  // why a parsed trace can't be replayed, or null if it can
+  function getTraceError(trace) {
+    if (!trace || typeof trace.codeString !== 'string' || !Array.isArray(trace.steps)) {
+      return 'File is not an exported trace.';
+    }
+    if (trace.version !== traceVersion) {
+      return 'The trace was exported by another version of the visualiser, ' +
+        'and can\'t be replayed.';
+    }
+    let brokenStepIndex = findIndex(trace.steps, (step) => {
+      return !step || !Array.isArray(step.nodes) || !Array.isArray(step.links);
+    });
+    if (brokenStepIndex > -1) {
+      return `The trace is damaged: step ${brokenStepIndex + 1} has no nodes or links.`;
+    }
+    return null;
+  }
+
+  return {
+    traceVersion,
+    serializeNode,
+    serializeLink,
+    serializeWarning,
+    serializeStep,
+    diffStep,
+    patchStep,
+    getTraceError,
+  };
+}
+
+export default new StepSerializer();
@@ -17,6 +17,7 @@ let options = {
   cssVars: {
     colorPrimary: '#2196F3',
     colorSecondary: '#4CAF50',
+    colorFailure: '#F44336',
     warningErrorRange: ['#4CAF50', '#8BC34A', '#CDDC39', '#FDD835', '#FFC107', '#FF9800', '#FF5722',
       '#F44336', '#D50000',
     ],
@@ -82,6 +83,7 @@ function appendArrows() {
   [
     ['arrow-calling', options.cssVars.colorPrimary],
     ['arrow-returning', options.cssVars.colorSecondary],
+    ['arrow-throwing', options.cssVars.colorFailure],
   ].forEach((arrow) => {
     svg.append('svg:defs')
       .append('svg:marker')
@@ -197,7 +199,7 @@ function update() {
   });
 
   // set up arrow/line drawing to sync up with live Sequencer options
-  let delay = SequencerStore.getOptions().sequencerDelay;
+  let delay = SequencerStore.getSequencerDelay();
   let delayFactor = SequencerStore.getOptions().delayFactor;
   let visualizerPercentageOfDelay = (SequencerStore.getOptions().staggerEditorAndVisualizer) ?
     SequencerStore.getOptions().visualizerPercentageOfDelay : 1;
@@ -211,8 +213,7 @@ function update() {
       return 'link link-' + d.linkState;
     })
     .attr('marker-end', (d) => {
-      return (d.linkState === 'calling') ?
-        'url(#arrow-calling)' : 'url(#arrow-returning';
+      return `url(#arrow-${d.linkState})`;
     })
     .transition()
     .duration(transitionDelay)
@@ -277,10 +278,13 @@ function update() {
       });
   }
 
+  let highlightedNodeIndex = SequencerStore.getHighlightedNodeIndex();
   node.selectAll('circle')
     .attr('class', (d) => {
       return 'function ' + d.type + ' ' + (d.status || '') +
-        ((d.fixed) ? ' function-fixed' : '');
+        ((d.fixed) ? ' function-fixed' : '') +
+        ((d.caught) ? ' function-caught' : '') +
+        ((d.nodeIndex === highlightedNodeIndex) ? ' function-highlighted' : '');
     });
 
   // make the root node more 'angry' and bigger for each error... 
@@ -288,6 +292,8 @@ function update() {
   let errorCount = 0;
   let endGroup = rootNode.select('circle');
 
+  // the Sequencer can step back from the finished state
+  finished = false;
   endGroup.classed('finished', (d) => {
       if (d.status === 'finished') {
         rootNode.select('foreignObject')
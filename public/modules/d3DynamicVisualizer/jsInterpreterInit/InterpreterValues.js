@@ -0,0 +1,120 @@
+/* helpers for native implementations, which receive and
+   return the interpreter's own wrapped values. */
+
+function InterpreterValues(interpreter) {
+
+  // identifies functions in toKey
+  let functionCount = 0;
+
+  function isArray(value) {
+    return Boolean(value && !value.isPrimitive &&
+      interpreter.isa(value, interpreter.ARRAY));
+  }
+
+  function getLength(array) {
+    return interpreter.getProperty(array, 'length').data;
+  }
+
+  function createArray(values) {
+    let array = interpreter.createObject(interpreter.ARRAY);
+    values.forEach((value, i) => {
+      interpreter.setProperty(array, i, value);
+    });
+    return array;
+  }
+
+  // the interpreter's values, unwrapped only as far as the array
+  function getValues(array) {
+    let values = [];
+    for (let i = 0; i < getLength(array); i++) {
+      values.push(interpreter.getProperty(array, i));
+    }
+    return values;
+  }
+
+  function isStrictlyEqual(a, b) {
+    if (a.isPrimitive && b.isPrimitive) {
+      return a.type === b.type && a.data === b.data;
+    }
+    return a === b;
+  }
+
+  // relative start/end arguments, as used by slice
+  function getIndex(value, length, defaultIndex) {
+    if (!value || value.data === undefined) {
+      return defaultIndex;
+    }
+    let index = parseInt(value.data, 10) || 0;
+    return (index < 0) ? Math.max(length + index, 0) : Math.min(index, length);
+  }
+
+  function isFunction(value) {
+    return Boolean(value && !value.isPrimitive && (value.node || value.nativeFunc));
+  }
+
+  // as console.log would print it, nesting quoted strings
+  function toDisplayString(value, nested = false, depth = 0) {
+    if (!value) {
+      return 'undefined';
+    }
+    if (value.isPrimitive) {
+      return (nested && value.type === 'string') ?
+        `'${value.data}'` : String(value.data);
+    }
+    if (isFunction(value)) {
+      let name = (value.node && value.node.id) ? value.node.id.name : 'anonymous';
+      return `[Function: ${name}]`;
+    }
+    // cyclic structures stop here
+    if (depth > 2) {
+      return (isArray(value)) ? '[Array]' : '[Object]';
+    }
+    if (isArray(value)) {
+      return '[' + getValues(value).map((item) => {
+        return toDisplayString(item, true, depth + 1);
+      }).join(', ') + ']';
+    }
+    let names = Object.keys(value.properties).filter((name) => {
+      return !(value.nonenumerable && value.nonenumerable[name]);
+    });
+    return '{' + names.map((name) => {
+      return `${name}: ${toDisplayString(value.properties[name], true, depth + 1)}`;
+    }).join(', ') + '}';
+  }
+
+  /* compares values by content, as toDisplayString shows them,
+     except that functions are told apart by identity. */
+  function toKey(value, ancestors = []) {
+    if (!value || value.isPrimitive) {
+      return (value) ? `${value.type}:${value.data}` : 'undefined';
+    }
+    if (isFunction(value)) {
+      if (value.keyId_ === undefined) {
+        value.keyId_ = functionCount++;
+      }
+      return `function:${value.keyId_}`;
+    }
+    if (ancestors.indexOf(value) !== -1) {
+      return 'cycle';
+    }
+    let nextAncestors = ancestors.concat([value]);
+    let names = Object.keys(value.properties).sort();
+    return ((isArray(value)) ? 'array{' : 'object{') + names.map((name) => {
+      return `${name}:${toKey(value.properties[name], nextAncestors)}`;
+    }).join(',') + '}';
+  }
+
+  return {
+    isArray,
+    getLength,
+    createArray,
+    getValues,
+    isStrictlyEqual,
+    getIndex,
+    isFunction,
+    toDisplayString,
+    toKey,
+  };
+}
+
+export default InterpreterValues;
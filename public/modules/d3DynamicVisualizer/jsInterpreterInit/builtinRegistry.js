@@ -0,0 +1,379 @@
+/* The helpers jsInterpreterInit can install into the interpreter.
+   Lessons choose which are installed by name (the SequencerStore
+   builtins option, set from an example's builtins list); all
+   of them are installed otherwise. Each is declared with:
+
+   name: as called from the interpreted code.
+   target: where it is installed, as a path from the global
+     scope such as 'Array.prototype', or '' for the global scope.
+   source: an interpreted (ES5) implementation. Used for anything
+     taking a callback, so that the d3DynamicVisualizer shows every
+     call made to it. Parsed as 'builtin' code, which keeps it out
+     of editor highlighting, breakpoints and the ErrorChecker.
+   native: otherwise, a function of (interpreter, values, output)
+     returning the native implementation, values being InterpreterValues
+     helpers and output the array console lines are pushed to.
+   With neither, the interpreter's own function is annotated
+   with the purity instead, whichever builtins are selected.
+   purity: optional, 'pure', 'impure', 'nondeterministic' or 'io'.
+     Natives are black boxes, so the ErrorChecker reports calls to
+     impure ones as side effects, to nondeterministic ones as breaking
+     referential transparency, and to io ones (the console) if its
+     flagConsoleOutput option is on. */
+
+// calls fn without apply where possible, so that the call is visualized
+const invokeSource = `
+  function invoke(fn, args) {
+    if (args.length === 0) {
+      return fn();
+    }
+    if (args.length === 1) {
+      return fn(args[0]);
+    }
+    if (args.length === 2) {
+      return fn(args[0], args[1]);
+    }
+    if (args.length === 3) {
+      return fn(args[0], args[1], args[2]);
+    }
+    return fn.apply(null, args);
+  }`;
+
+const mathFunctions = ['abs', 'ceil', 'floor', 'max', 'min', 'pow', 'round', 'sqrt'];
+
+const consoleMethods = ['log', 'warn', 'error'];
+
+// the interpreter's array methods that change the array in place
+const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'reverse', 'splice', 'sort'];
+
+/* fixed properties are all the interpreter has, so objects frozen by
+   Object.freeze are also marked frozen_: no properties can be added
+   to them, and their length can't change. The array methods write
+   to the properties directly, so they are checked apart, and throw
+   as they would for a frozen array in JS. */
+function guardFrozenObjects(interpreter) {
+  let setProperty = interpreter.setProperty;
+  interpreter.setProperty = function guardedSetProperty(object, name, ...rest) {
+    if (!object.frozen_ || String(name) in object.properties) {
+      setProperty.call(this, object, name, ...rest);
+    }
+  };
+  let arrayPrototype = interpreter.getProperty(interpreter.ARRAY, 'prototype');
+  arrayMutators.forEach((name) => {
+    let func = interpreter.getProperty(arrayPrototype, name);
+    let nativeFunc = func.nativeFunc;
+    func.nativeFunc = function guardedArrayMethod(...args) {
+      if (this.frozen_) {
+        throw new TypeError(`Cannot ${name} a frozen array`);
+      }
+      return nativeFunc.apply(this, args);
+    };
+  });
+}
+
+const builtinRegistry = [{
+  name: 'map',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function map(callback) {
+    var array = this;
+    var result = [];
+    for (var i = 0; i < array.length; i++) {
+      result[i] = callback(array[i], i, array);
+    }
+    return result;
+  })`,
+}, {
+  name: 'filter',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function filter(callback) {
+    var array = this;
+    var result = [];
+    for (var i = 0; i < array.length; i++) {
+      if (callback(array[i], i, array)) {
+        result[result.length] = array[i];
+      }
+    }
+    return result;
+  })`,
+}, {
+  name: 'forEach',
+  target: 'Array.prototype',
+  source: `(function forEach(callback) {
+    var array = this;
+    for (var i = 0; i < array.length; i++) {
+      callback(array[i], i, array);
+    }
+  })`,
+}, {
+  name: 'some',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function some(callback) {
+    var array = this;
+    for (var i = 0; i < array.length; i++) {
+      if (callback(array[i], i, array)) {
+        return true;
+      }
+    }
+    return false;
+  })`,
+}, {
+  name: 'every',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function every(callback) {
+    var array = this;
+    for (var i = 0; i < array.length; i++) {
+      if (!callback(array[i], i, array)) {
+        return false;
+      }
+    }
+    return true;
+  })`,
+}, {
+  name: 'find',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function find(callback) {
+    var array = this;
+    for (var i = 0; i < array.length; i++) {
+      if (callback(array[i], i, array)) {
+        return array[i];
+      }
+    }
+    return undefined;
+  })`,
+}, {
+  name: 'findIndex',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function findIndex(callback) {
+    var array = this;
+    for (var i = 0; i < array.length; i++) {
+      if (callback(array[i], i, array)) {
+        return i;
+      }
+    }
+    return -1;
+  })`,
+}, {
+  name: 'reduce',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function reduce(callback, initialValue) {
+    var array = this;
+    var i = 0;
+    var accumulator = initialValue;
+    if (arguments.length < 2) {
+      accumulator = array[0];
+      i = 1;
+    }
+    for (; i < array.length; i++) {
+      accumulator = callback(accumulator, array[i], i, array);
+    }
+    return accumulator;
+  })`,
+}, {
+  name: 'reduceRight',
+  target: 'Array.prototype',
+  purity: 'pure',
+  source: `(function reduceRight(callback, initialValue) {
+    var array = this;
+    var i = array.length - 1;
+    var accumulator = initialValue;
+    if (arguments.length < 2) {
+      accumulator = array[i];
+      i--;
+    }
+    for (; i >= 0; i--) {
+      accumulator = callback(accumulator, array[i], i, array);
+    }
+    return accumulator;
+  })`,
+}, {
+  name: 'concat',
+  target: 'Array.prototype',
+  purity: 'pure',
+  native: (interpreter, values) => {
+    return function concat(...args) {
+      let result = values.getValues(this);
+      args.forEach((arg) => {
+        result = result.concat((values.isArray(arg)) ? values.getValues(arg) : [arg]);
+      });
+      return values.createArray(result);
+    };
+  },
+}, {
+  name: 'slice',
+  target: 'Array.prototype',
+  purity: 'pure',
+  native: (interpreter, values) => {
+    return function slice(begin, end) {
+      let result = values.getValues(this);
+      return values.createArray(result.slice(
+        values.getIndex(begin, result.length, 0),
+        values.getIndex(end, result.length, result.length)));
+    };
+  },
+}, {
+  name: 'indexOf',
+  target: 'Array.prototype',
+  purity: 'pure',
+  native: (interpreter, values) => {
+    return function indexOf(searchElement = interpreter.UNDEFINED) {
+      let result = values.getValues(this);
+      for (let i = 0; i < result.length; i++) {
+        if (values.isStrictlyEqual(result[i], searchElement)) {
+          return interpreter.createPrimitive(i);
+        }
+      }
+      return interpreter.createPrimitive(-1);
+    };
+  },
+}, {
+  name: 'isArray',
+  target: 'Array',
+  purity: 'pure',
+  native: (interpreter, values) => {
+    return function isArray(value) {
+      return interpreter.createPrimitive(values.isArray(value));
+    };
+  },
+}, {
+  name: 'keys',
+  target: 'Object',
+  purity: 'pure',
+  native: (interpreter, values) => {
+    return function keys(object) {
+      let names = (object && !object.isPrimitive) ?
+        Object.keys(object.properties).filter((name) => {
+          return !(object.nonenumerable && object.nonenumerable[name]);
+        }) : [];
+      return values.createArray(names.map((name) => {
+        return interpreter.createPrimitive(name);
+      }));
+    };
+  },
+}, {
+  name: 'freeze',
+  target: 'Object',
+  // prevents later mutation, rather than being one
+  purity: 'pure',
+  native: (interpreter) => {
+    guardFrozenObjects(interpreter);
+    return function freeze(object) {
+      if (object && !object.isPrimitive) {
+        Object.keys(object.properties).forEach((name) => {
+          interpreter.setProperty(object, name, object.properties[name], true);
+        });
+        object.frozen_ = true;
+      }
+      return object;
+    };
+  },
+}, {
+  name: 'compose',
+  target: '',
+  purity: 'pure',
+  source: `(function compose() {
+    var fns = arguments;
+    return function composed(value) {
+      var result = value;
+      for (var i = fns.length - 1; i >= 0; i--) {
+        var fn = fns[i];
+        result = fn(result);
+      }
+      return result;
+    };
+  })`,
+}, {
+  name: 'curry',
+  target: '',
+  purity: 'pure',
+  source: `(function curry(fn) {
+    function collect(args) {
+      return function curried() {
+        var allArgs = args.slice();
+        for (var i = 0; i < arguments.length; i++) {
+          allArgs[allArgs.length] = arguments[i];
+        }
+        if (allArgs.length < fn.length) {
+          return collect(allArgs);
+        }
+        return invoke(fn, allArgs);
+      };
+    }
+    ${invokeSource}
+    return collect([]);
+  })`,
+}, {
+  name: 'partial',
+  target: '',
+  purity: 'pure',
+  source: `(function partial(fn) {
+    var bound = [];
+    for (var i = 1; i < arguments.length; i++) {
+      bound[bound.length] = arguments[i];
+    }
+    return function partiallyApplied() {
+      var allArgs = bound.slice();
+      for (var j = 0; j < arguments.length; j++) {
+        allArgs[allArgs.length] = arguments[j];
+      }
+      return invoke(fn, allArgs);
+    };
+    ${invokeSource}
+  })`,
+}].concat(mathFunctions.map((name) => {
+  return {
+    name,
+    target: 'Math',
+    purity: 'pure',
+    native: (interpreter) => {
+      return (...args) => {
+        return interpreter.createPrimitive(Math[name](...args.map((arg) => {
+          return arg.toNumber();
+        })));
+      };
+    },
+  };
+}), {
+  name: 'random',
+  target: 'Math',
+  purity: 'nondeterministic',
+  native: (interpreter) => {
+    return () => {
+      return interpreter.createPrimitive(Math.random());
+    };
+  },
+}, {
+  // new Date() and Date(), but not new Date(2015, 0, 1)
+  name: 'Date',
+  target: '',
+  purity: 'nondeterministic',
+}, {
+  name: 'now',
+  target: 'Date',
+  purity: 'nondeterministic',
+}, consoleMethods.map((method) => {
+  return {
+    name: method,
+    target: 'console',
+    purity: 'io',
+    native: (interpreter, values, output) => {
+      return (...args) => {
+        output.push({
+          method,
+          text: args.map((arg) => {
+            return values.toDisplayString(arg);
+          }).join(' '),
+        });
+        return interpreter.UNDEFINED;
+      };
+    },
+  };
+}));
+
+export default builtinRegistry;
@@ -0,0 +1,96 @@
+/* The interpreter has no try statement: throw (and any runtime error,
+   e.g. an unknown identifier) escapes interpreter.step() as a plain
+   JS exception. These add try/catch/finally on top, so the StepRunner
+   can hand an exception to the innermost try block around it.
+   Thrown values reach the catch block as their message string.
+   An exception leaving a try or catch block runs the finally block
+   first, then goes on up, still blamed on whoever threw it. */
+
+function exceptionHandling() {
+
+  function stepTryStatement() {
+    let state = this.stateStack[0];
+    let node = state.node;
+    if (!state.doneBlock_) {
+      state.doneBlock_ = true;
+      this.stateStack.unshift({
+        node: node.block,
+      });
+    } else if (node.finalizer && !state.doneFinalizer_) {
+      state.doneFinalizer_ = true;
+      this.stateStack.unshift({
+        node: node.finalizer,
+      });
+    } else {
+      this.stateStack.shift();
+      if (state.pendingException_ !== undefined) {
+        // the finally block has run on the exception's way out
+        this.rethrownThrower_ = state.pendingThrower_;
+        throw state.pendingException_;
+      }
+    }
+  }
+
+  function addTryStatement(interpreter) {
+    interpreter.stepTryStatement = stepTryStatement;
+  }
+
+  // the interpreter throws strings for throw statements, Errors for its own
+  function getMessage(e) {
+    return (e && e.message !== undefined) ? e.message : String(e);
+  }
+
+  /* the thrower given to catchException for an exception that a
+     finally block has just thrown again, otherwise undefined.
+     Only valid once, straight after interpreter.step() threw. */
+  function takeRethrownThrower(interpreter) {
+    let thrower = interpreter.rethrownThrower_;
+    interpreter.rethrownThrower_ = undefined;
+    return thrower;
+  }
+
+  /* unwinds the interpreter's stack to the innermost try statement
+     still running its try or catch block. Returns 'caught' once its
+     catch block is started with the exception, 'finally' once its
+     finally block is, for stepTryStatement to throw the exception
+     again after it, along with thrower, or null, leaving the stack
+     as it was, if there's neither. Exceptions in a finally block go on up. */
+  function catchException(interpreter, e, thrower) {
+    let stack = interpreter.stateStack;
+    for (let i = 0; i < stack.length; i++) {
+      let state = stack[i];
+      let node = state.node;
+      let running = node.type === 'TryStatement' && state.doneBlock_ && !state.doneFinalizer_;
+      if (running && node.handler && !state.caught_) {
+        stack.splice(0, i);
+        state.caught_ = true;
+        let scope = interpreter.createObject(null);
+        scope.parentScope = interpreter.getScope();
+        interpreter.setProperty(scope, node.handler.param.name,
+          interpreter.createPrimitive(getMessage(e)));
+        stack.unshift({
+          node: node.handler.body,
+          scope,
+        });
+        return 'caught';
+      }
+      if (running && node.finalizer) {
+        stack.splice(0, i);
+        state.doneFinalizer_ = true;
+        state.pendingException_ = e;
+        state.pendingThrower_ = thrower;
+        stack.unshift({
+          node: node.finalizer,
+        });
+        return 'finally';
+      }
+    }
+    return null;
+  }
+
+  return {
+    addTryStatement, getMessage, takeRethrownThrower, catchException,
+  };
+}
+
+export default exceptionHandling();
@@ -1,54 +1,60 @@
 // the interpreter only supports basic built-in functions
-// here I add some more wrappers to native functions I wanted to
-// see supported for the purpose of this exercise:
-// array.map and array.reduce, care of lodash and ES5 polyfills.
-
-
-function init(interpreter, scope) {
-
-  var map = function map(iteratee, array) {
-
-    array = this;
-    iteratee = interpreter.FUNCTION.nativeFunc(iteratee)
-
-    var index = -1,
-      length = array.length,
-      result = [];
-    result.length = length;
-
-    while (++index < length) {
-      result[index] = iteratee(array[index], index, array);
+// here I add some more I wanted to see supported for the
+// purpose of this exercise, from the builtinRegistry.
+// getInitFunc returns the init function for the Interpreter
+// constructor, installing only the helpers named (all if null),
+// so that each lesson can choose which are available.
+// Console lines are pushed to the output array passed.
+
+import astTools from '../../astTools/astTools.js';
+import builtinRegistry from './builtinRegistry.js';
+import InterpreterValues from './InterpreterValues.js';
+
+// creates any objects on the path that don't exist yet, e.g. console
+function getTarget(interpreter, scope, path) {
+  return path.split('.').filter(Boolean).reduce((object, name) => {
+    let target = interpreter.getProperty(object, name);
+    if (target === interpreter.UNDEFINED) {
+      target = interpreter.createObject(interpreter.OBJECT);
+      interpreter.setProperty(object, name, target, false, true);
     }
-    return interpreter.wrapPrimitive(result);
-  }
+    return target;
+  }, scope);
+}
 
-  var reduce = function reduce(array, callback, initialValue) {
+// annotates one of the interpreter's own functions rather than adding one
+function isAnnotation(entry) {
+  return !entry.source && !entry.native;
+}
 
-    var array = this;
-    var len = array.length >>> 0,
-      index = 0,
-      accumulator;
-    if (arguments.length == 2) {
-      accumulator = arguments[1];
-    } else {
-      while (index < len && !(index in array)) {
-        index++;
+function getInitFunc(builtinNames = null, output = []) {
+  let entries = (builtinNames) ? builtinRegistry.filter((entry) => {
+    return isAnnotation(entry) || builtinNames.indexOf(entry.name) !== -1 ||
+      builtinNames.indexOf(`${entry.target}.${entry.name}`) !== -1;
+  }) : builtinRegistry;
+
+  return function init(interpreter, scope) {
+    let values = new InterpreterValues(interpreter);
+    entries.forEach((entry) => {
+      let target = getTarget(interpreter, scope, entry.target);
+      let func;
+      if (isAnnotation(entry)) {
+        func = interpreter.getProperty(target, entry.name);
+      } else if (entry.source) {
+        let functionNode =
+          astTools.createAst(entry.source, true, 'builtin').body[0].expression;
+        func = interpreter.createFunction(functionNode, scope);
+      } else {
+        func = interpreter.createNativeFunction(entry.native(interpreter, values, output));
       }
-      accumulator = array[index++];
-    }
-    for (; index < len; index++) {
-      if (index in array) {
-        accumulator = callback(accumulator, array[index]);
+      // read by the StateToNodeConverter and ErrorChecker
+      func.builtinName_ = (entry.target) ? `${entry.target}.${entry.name}` : entry.name;
+      func.purity_ = entry.purity || null;
+      if (!isAnnotation(entry)) {
+        interpreter.setProperty(target, entry.name, func, false, true);
       }
-    }
-    return accumulator;
-  }
-
-
-  interpreter.setProperty(interpreter.ARRAY.properties.prototype, 'map',
-    interpreter.createNativeFunction(map), false, true);
-  interpreter.setProperty(interpreter.ARRAY.properties.prototype, 'reduce',
-    interpreter.createNativeFunction(reduce), false, true);
+    });
+  };
 }
 
-export default init;
+export default getInitFunc;
@@ -0,0 +1,12 @@
+/* The vendored interpreter registers itself on window, and copies
+   escape, isNaN etc. from it into the interpreted global scope.
+   There is no window in the SequencerWorker or under node
+   (traceProgram, fv-analyze), so point it at the global object there.
+   Imports are hoisted, so this has to be a module of its own,
+   imported before the interpreter. */
+
+let globalObject = (typeof self !== 'undefined') ? self : global;
+
+if (typeof globalObject.window === 'undefined') {
+  globalObject.window = globalObject;
+}
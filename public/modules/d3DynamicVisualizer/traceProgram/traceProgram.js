@@ -0,0 +1,93 @@
+/* Headless counterpart to the Sequencer: runs the interpreter to
+   completion without stores, timeouts or Ace, and returns every
+   visual step the Sequencer would have displayed as plain JSON.
+   For batch analysis and scripting under node (via babel-core/register). */
+
+import StepRunner from '../StepRunner/StepRunner.js';
+import StepSerializer from '../StepSerializer/StepSerializer.js';
+
+const defaultOptions = {
+  // nothing is drawn, so keep every returned node
+  maxAllowedReturnNodes: Infinity,
+  // budgets as for the SequencerStore
+  maxInterpreterSteps: 1000000,
+  maxScopeDepth: 200,
+  maxInterpretingTime: 10000,
+  // builtinRegistry helpers to install, null for all
+  builtins: null,
+  flagConsoleOutput: false,
+  // id of a built-in ruleProfile, or a profile object
+  ruleProfile: 'default',
+};
+
+// console lines tagged with their step, as in the ConsolePane
+function getOutputLines(step) {
+  return step.output.map((line) => {
+    return Object.assign({
+      step: step.step,
+    }, line);
+  });
+}
+
+// every warning raised in the step, not only the one the Sequencer shows
+function getWarnings(step) {
+  return step.warnings.map((warning) => {
+    return Object.assign({
+      step: step.step,
+    }, warning, {
+      range: warning.range || step.range,
+    });
+  });
+}
+
+function traceProgram(codeString, options) {
+  let opts = Object.assign({}, defaultOptions, options);
+  let trace = {
+    // so that the result can be imported like an exported trace
+    version: StepSerializer.traceVersion,
+    steps: [],
+    warnings: [],
+    output: [],
+    resultReport: [],
+    functionReport: null,
+    errorCount: 0,
+    finished: false,
+    stopped: false,
+    // stopped by an uncaught exception
+    thrown: false,
+    error: null,
+  };
+
+  let stepRunner = new StepRunner();
+  let result = stepRunner.initialize(codeString, opts);
+  while (!result) {
+    // there are no breakpoints set, so nothing pauses
+    let stepResult = stepRunner.runToNextStep(opts);
+    if (stepResult.type === 'error') {
+      result = stepResult;
+    } else {
+      let step = stepResult.step;
+      trace.steps.push(step);
+      trace.output = trace.output.concat(getOutputLines(step));
+      trace.warnings = trace.warnings.concat(getWarnings(step));
+      if (stepResult.type === 'finished' || stepResult.type === 'stopped') {
+        trace.finished = (stepResult.type === 'finished');
+        trace.stopped = (stepResult.type === 'stopped');
+        trace.thrown = Boolean(step.thrown);
+        result = stepResult;
+      }
+    }
+  }
+  if (result.type === 'error') {
+    trace.error = {
+      action: result.action,
+      message: result.message,
+    };
+  }
+  trace.errorCount = stepRunner.getErrorCount();
+  trace.resultReport = stepRunner.getResultReport();
+  trace.functionReport = stepRunner.getFunctionReport();
+  return trace;
+}
+
+export default traceProgram;
@@ -2,6 +2,10 @@
   every file in example dir has exports.
   can pre-sort by order here for easy adding/removal
   to NavBar.
+  an example may also list the names of the builtins
+  (see jsInterpreterInit/builtinRegistry.js) to install
+  for it, e.g. builtins: ['map', 'Math.random'];
+  otherwise all are installed.
   */
 
 import funcWithoutReturn from './exampleFiles/funcWithoutReturn.js';
@@ -7,6 +7,8 @@ function CodeStore() {
   const codeStore = Object.create(event.EventEmitter.prototype);
 
   let codeString = '';
+  // Ace (zero-based) rows the Sequencer should pause on.
+  let breakpointRows = [];
 
   function subscribeListener(callback) {
     codeStore.on('change', callback);
@@ -16,8 +18,25 @@ function CodeStore() {
     codeStore.removeListener('change', callback);
   }
 
+  function subscribeBreakpointListener(callback) {
+    codeStore.on('breakpointsChanged', callback);
+  }
+
+  function unsubscribeBreakpointListener(callback) {
+    codeStore.removeListener('breakpointsChanged', callback);
+  }
+
+  function clearBreakpoints() {
+    breakpointRows = [];
+    codeStore.emit('breakpointsChanged', breakpointRows);
+  }
+
   function set(newCode, userUpdate) {
     codeString = newCode.toString().trim();
+    if (!userUpdate) {
+      // breakpoints belong to the lines of the previous code
+      clearBreakpoints();
+    }
     codeStore.emit('change', userUpdate);
   }
 
@@ -25,11 +44,30 @@ function CodeStore() {
     return codeString;
   }
 
+  function toggleBreakpoint(row) {
+    let index = breakpointRows.indexOf(row);
+    if (index > -1) {
+      breakpointRows.splice(index, 1);
+    } else {
+      breakpointRows.push(row);
+    }
+    codeStore.emit('breakpointsChanged', breakpointRows);
+  }
+
+  function getBreakpoints() {
+    return breakpointRows;
+  }
+
   return {
     subscribeListener,
     unsubscribeListener,
+    subscribeBreakpointListener,
+    unsubscribeBreakpointListener,
     set,
     get,
+    toggleBreakpoint,
+    clearBreakpoints,
+    getBreakpoints,
   };
 }
 export default new CodeStore;
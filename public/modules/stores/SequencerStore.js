@@ -6,6 +6,8 @@
     the store manages the timing offset for both events
     (showing the code interpreted, then the visualized result.) */
 
+import astTools from '../astTools/astTools.js';
+
 const event = require('events');
 
 function SequencerStore() {
@@ -30,6 +32,18 @@ function SequencerStore() {
     stopOnNotices: true,
     showFunctionLabels: true,
     highlightExecutedCode: true,
+    // budgets after which the run is stopped with a warning,
+    // for endless loops and runaway recursion
+    maxInterpreterSteps: 1000000,
+    maxScopeDepth: 200,
+    // ms spent in the interpreter; animation delays and pauses don't count
+    maxInterpretingTime: 10000,
+    // names of the builtinRegistry helpers to install, or null for all
+    builtins: null,
+    // report console output as an I/O side effect
+    flagConsoleOutput: false,
+    // how each warning counts (see ErrorChecker/WarningHandler/ruleProfiles.js)
+    ruleProfile: 'default',
   };
 
   let stepOutput = {
@@ -37,8 +51,28 @@ function SequencerStore() {
     execCodeBlock: null,
     warning: null,
     singleStep: false,
+    fromHistory: false,
+    // the d3 node picked out from the warning log, if any
+    highlightedNodeIndex: null,
   };
 
+  // every visual step emitted so far, so that earlier steps
+  // can be shown again without re-running the interpreter.
+  // historyIndex points to the step currently on display.
+  let history = [];
+  let historyIndex = -1;
+  let nodeCache = {};
+  let linkCache = {};
+  // the console output of every step in the history, tagged with its step
+  let consoleLines = [];
+  // every warning raised, unlike stepOutput.warning which is
+  // only the most important of its step until it has been shown
+  let warningLog = [];
+
+  // step into/over/out runs show their intermediate
+  // steps at the minimum delay, whatever the slider says.
+  let fastForward = false;
+
   function subscribeListener(callback) {
     sequencerStore.on('update', callback);
   }
@@ -63,6 +97,14 @@ function SequencerStore() {
     sequencerStore.removeListener('optionsChanged', callback);
   }
 
+  function subscribeHistoryListener(callback) {
+    sequencerStore.on('historyChanged', callback);
+  }
+
+  function unsubscribeHistoryListener(callback) {
+    sequencerStore.removeListener('historyChanged', callback);
+  }
+
   function linkSequencerToD3Data() {
     return d3LinkedState;
   }
@@ -79,6 +121,10 @@ function SequencerStore() {
     return stepOutput.singleStep;
   }
 
+  function isHistoryStep() {
+    return stepOutput.fromHistory;
+  }
+
   function setStepOutput(output) {
     Object.assign(stepOutput, output);
   }
@@ -105,6 +151,14 @@ function SequencerStore() {
     return options;
   }
 
+  function setFastForward(flag) {
+    fastForward = flag;
+  }
+
+  function getSequencerDelay() {
+    return (fastForward) ? options.minSequencerDelay : options.sequencerDelay;
+  }
+
   function getWarning() {
     return stepOutput.warning;
   }
@@ -113,9 +167,182 @@ function SequencerStore() {
     stepOutput.warning = null;
   }
 
+  function emitHistoryChange() {
+    sequencerStore.emit('historyChanged', {
+      historyIndex,
+      historyLength: history.length,
+    });
+  }
+
+  /* nodes and links are cached by index so that every step reuses
+     the objects d3 has already positioned. */
+  function restoreNode(savedNode) {
+    let node = nodeCache[savedNode.nodeIndex] ||
+      (nodeCache[savedNode.nodeIndex] = {
+        nodeIndex: savedNode.nodeIndex,
+        name: savedNode.name,
+        parentNode: null,
+      });
+    node.parentNode = nodeCache[savedNode.parentIndex] || null;
+    node.updateText = (node.displayName !== savedNode.displayName);
+    node.displayName = savedNode.displayName;
+    node.status = savedNode.status;
+    node.type = savedNode.type;
+    node.errorCount = savedNode.errorCount;
+    node.caught = savedNode.caught;
+    return node;
+  }
+
+  function restoreLink(savedLink) {
+    return linkCache[savedLink.linkIndex] ||
+      (linkCache[savedLink.linkIndex] = {
+        source: nodeCache[savedLink.source],
+        target: nodeCache[savedLink.target],
+        linkState: savedLink.linkState,
+        linkIndex: savedLink.linkIndex,
+      });
+  }
+
+  // returns the restored step, or null if there is none.
+  function restoreStep(index, singleStep) {
+    let step = history[index];
+    if (!step) {
+      return null;
+    }
+    // mutate rather than replace the arrays,
+    // d3 keeps references to both.
+    d3LinkedState.nodes.length = 0;
+    // nodes first; links point at them
+    Array.prototype.push.apply(d3LinkedState.nodes, step.nodes.map(restoreNode));
+    d3LinkedState.links.length = 0;
+    Array.prototype.push.apply(d3LinkedState.links, step.links.map(restoreLink));
+    Object.assign(stepOutput, {
+      execCodeBlock: step.execCodeBlock,
+      range: astTools.getRangeFromLoc(step.range),
+      warning: step.warning,
+      singleStep,
+      fromHistory: true,
+      highlightedNodeIndex: null,
+    });
+    historyIndex = index;
+    emitHistoryChange();
+    return step;
+  }
+
+  function collectConsoleLines(step) {
+    (step.output || []).forEach((line) => {
+      consoleLines.push(Object.assign({
+        step: step.step,
+      }, line));
+    });
+  }
+
+  // traces exported before steps had all their warnings only have the first
+  function collectWarnings(step, index) {
+    let warnings = step.warnings || ((step.warning) ? [step.warning] : []);
+    warnings.forEach((warning) => {
+      warningLog.push(Object.assign({
+        step: step.step,
+        historyIndex: index,
+      }, warning, {
+        // older traces only have the range of the whole step
+        range: warning.range || step.range,
+      }));
+    });
+  }
+
+  /* appends a new step from the SequencerWorker and shows it.
+     Steps arrive serialized, so the d3 nodes and links are
+     restored from them just as for stepping through the history. */
+  function addStep(step, singleStep) {
+    history.push(step);
+    collectConsoleLines(step);
+    collectWarnings(step, history.length - 1);
+    restoreStep(history.length - 1, singleStep);
+    stepOutput.fromHistory = false;
+  }
+
+  function getLastStep() {
+    return history[history.length - 1] || null;
+  }
+
+  // the report card of the run, once it has finished or been stopped
+  function getFunctionReport() {
+    let lastStep = getLastStep();
+    return (lastStep && lastStep.functionReport) || null;
+  }
+
+  // replaces the history with serialized steps, eg from an imported trace
+  function loadHistory(steps) {
+    history = steps.slice();
+    historyIndex = -1;
+    consoleLines = [];
+    warningLog = [];
+    history.forEach((step, i) => {
+      collectConsoleLines(step);
+      collectWarnings(step, i);
+    });
+    emitHistoryChange();
+  }
+
+  function getHistory() {
+    return history;
+  }
+
+  // every warning raised in the run, including any past the step on display
+  function getWarningLog() {
+    return warningLog;
+  }
+
+  function getHighlightedNodeIndex() {
+    return stepOutput.highlightedNodeIndex;
+  }
+
+  // the lines written up to the step on display
+  function getConsoleLines() {
+    let currentStep = history[historyIndex];
+    if (!currentStep) {
+      return [];
+    }
+    return consoleLines.filter((line) => {
+      return line.step <= currentStep.step;
+    });
+  }
+
+  function getCurrentStepInfo() {
+    return history[historyIndex] || {};
+  }
+
+  function getHistoryIndex() {
+    return historyIndex;
+  }
+
+  function getHistoryLength() {
+    return history.length;
+  }
+
+  function hasStepsAhead() {
+    return historyIndex < history.length - 1;
+  }
+
   function resetState() {
     d3LinkedState.nodes = [];
     d3LinkedState.links = [];
+    Object.assign(stepOutput, {
+      range: null,
+      execCodeBlock: null,
+      warning: null,
+      singleStep: false,
+      fromHistory: false,
+      highlightedNodeIndex: null,
+    });
+    history = [];
+    historyIndex = -1;
+    nodeCache = {};
+    linkCache = {};
+    consoleLines = [];
+    warningLog = [];
+    emitHistoryChange();
     sendUpdate(true);
   }
 
@@ -128,7 +355,7 @@ function SequencerStore() {
       sequencerStore.emit('update', shouldResetD3);
       return;
     }
-    let stepDelay = options.sequencerDelay * options.delayFactor;
+    let stepDelay = getSequencerDelay() * options.delayFactor;
     return new Promise((resolveAll) => {
 
 
@@ -171,17 +398,34 @@ function SequencerStore() {
     subscribeListener, subscribeEditor,
     unsubscribeListener, unsubscribeEditor,
     subscribeOptionListener, unsubscribeOptionListener,
+    subscribeHistoryListener, unsubscribeHistoryListener,
     sendUpdate,
     linkState: linkSequencerToD3Data,
-      getCurrentRange,
-      getCurrentCodeBlock,
-      setStepOutput,
-      isSingleStep,
-      getWarning,
-      setWarningMessageShown,
-      setOptions,
-      getOptions,
-      resetState,
+    getCurrentRange,
+    getCurrentCodeBlock,
+    setStepOutput,
+    isSingleStep,
+    isHistoryStep,
+    getWarning,
+    setWarningMessageShown,
+    setOptions,
+    getOptions,
+    setFastForward,
+    getSequencerDelay,
+    resetState,
+    addStep,
+    getLastStep,
+    getFunctionReport,
+    loadHistory,
+    getHistory,
+    getConsoleLines,
+    getWarningLog,
+    getHighlightedNodeIndex,
+    restoreStep,
+    getCurrentStepInfo,
+    getHistoryIndex,
+    getHistoryLength,
+    hasStepsAhead,
   };
 }
 
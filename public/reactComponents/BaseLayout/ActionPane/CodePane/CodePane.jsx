@@ -8,8 +8,13 @@ import React from 'react';
 
 import Editor from './Editor/Editor.jsx';
 import ControlBar from './ControlBar/ControlBar.jsx';
+import Timeline from './Timeline/Timeline.jsx';
+import ConsolePane from './ConsolePane/ConsolePane.jsx';
+import WarningPanel from './WarningPanel/WarningPanel.jsx';
+import ReportCard from './ReportCard/ReportCard.jsx';
 
 import CodeStatusStore from '../../../../modules/stores/CodeStatusStore.js';
+import SequencerStore from '../../../../modules/stores/SequencerStore.js';
 
 
 class CodePane extends React.Component {
@@ -20,6 +25,10 @@ class CodePane extends React.Component {
       codeRunning: CodeStatusStore.isCodeRunning(),
       codeParsed: CodeStatusStore.isCodeParsed(),
       codeFinished: CodeStatusStore.isCodeFinished(),
+      historyIndex: SequencerStore.getHistoryIndex(),
+      historyLength: SequencerStore.getHistoryLength(),
+      consoleLines: SequencerStore.getConsoleLines(),
+      warningLog: SequencerStore.getWarningLog(),
     };
   }
 
@@ -29,6 +38,7 @@ class CodePane extends React.Component {
 
   componentDidMount = () => {
     CodeStatusStore.subscribeListener(this.onCodeStatusChange);
+    SequencerStore.subscribeHistoryListener(this.onHistoryChange);
   }
 
   componentWillReceiveProps = (nextProps) => {
@@ -39,6 +49,7 @@ class CodePane extends React.Component {
 
   componentWillUnmount = () => {
     CodeStatusStore.unsubscribeListener(this.onCodeStatusChange);
+    SequencerStore.unsubscribeHistoryListener(this.onHistoryChange);
   }
 
   onCodeStatusChange = (newStatus) => {
@@ -54,15 +65,34 @@ class CodePane extends React.Component {
     });
   }
 
+  onHistoryChange = (history) => {
+    this.setState({
+      historyIndex: history.historyIndex,
+      historyLength: history.historyLength,
+      consoleLines: SequencerStore.getConsoleLines(),
+      warningLog: SequencerStore.getWarningLog(),
+    });
+  }
+
   render = () => {
     return (
       <div className="flex-code-pane">
         <ControlBar showDynamic={this.props.showDynamic}
           codeRunning={this.state.codeRunning}
           codeParsed={this.state.codeParsed}
-          codeFinished={this.state.codeFinished}/>
+          codeFinished={this.state.codeFinished}
+          canStepBack={this.state.historyIndex > 0}
+          historyLength={this.state.historyLength}/>
+        <Timeline historyIndex={this.state.historyIndex}
+          historyLength={this.state.historyLength}
+          disabled={!this.props.showDynamic || this.state.codeRunning}/>
         <Editor codeRunning={this.state.codeRunning}
         onUserChangeCode={CodeStatusStore.setCodeParsed.bind(this, false)}/>
+        <ConsolePane lines={this.state.consoleLines}/>
+        <WarningPanel warnings={this.state.warningLog}
+          historyIndex={this.state.historyIndex}
+          disabled={!this.props.showDynamic || this.state.codeRunning}/>
+        <ReportCard/>
       </div>
     );
   }
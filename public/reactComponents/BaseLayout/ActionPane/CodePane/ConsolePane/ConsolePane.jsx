@@ -0,0 +1,57 @@
+import React from 'react';
+
+/* shows what the interpreted program wrote with console.log/warn/error,
+   up to the step on display. Each line is tagged with the visual
+   step and the function (d3 node) that wrote it. */
+
+const methodColors = {
+  log: 'black',
+  warn: 'darkorange',
+  error: 'red',
+};
+
+class ConsolePane extends React.Component {
+
+  static propTypes = {
+    lines: React.PropTypes.array.isRequired,
+  }
+
+  componentDidUpdate = (prevProps) => {
+    // keep the latest output in view
+    if (prevProps.lines.length !== this.props.lines.length) {
+      let element = React.findDOMNode(this.refs.lines);
+      element.scrollTop = element.scrollHeight;
+    }
+  }
+
+  render = () => {
+    return (
+      <div style={{backgroundColor: 'lightgrey'}}>
+        <div style={{paddingLeft: '24px', lineHeight: '24px'}}>
+          Console
+        </div>
+        <div ref="lines" style={{
+          backgroundColor: 'whitesmoke',
+          fontFamily: 'monospace',
+          height: '120px',
+          overflowY: 'auto',
+          padding: '4px 24px',
+        }}>
+          {this.props.lines.map((line, i) => {
+            return (
+              <div key={i} style={{color: methodColors[line.method]}}>
+                <span style={{color: 'gray'}}>
+                  {`[${line.step + 1}] ${line.functionName || 'Program'}: `}
+                </span>
+                {line.text}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+}
+
+export default ConsolePane;
@@ -24,6 +24,9 @@ class ControlBar extends React.Component {
     showDynamic: React.PropTypes.bool,
     codeParsed: React.PropTypes.bool,
     codeRunning: React.PropTypes.bool,
+    codeFinished: React.PropTypes.bool,
+    canStepBack: React.PropTypes.bool,
+    historyLength: React.PropTypes.number,
   }
 
   onPlay = () => {
@@ -46,6 +49,34 @@ class ControlBar extends React.Component {
     Sequencer.update(true);
   }
 
+  onStepInto = () => {
+    CodeStatusStore.setCodeRunning(true);
+    this.setState({
+      allowResetButton: true,
+    });
+    Sequencer.stepInto();
+  }
+
+  onStepOver = () => {
+    CodeStatusStore.setCodeRunning(true);
+    this.setState({
+      allowResetButton: true,
+    });
+    Sequencer.stepOver();
+  }
+
+  onStepOut = () => {
+    CodeStatusStore.setCodeRunning(true);
+    this.setState({
+      allowResetButton: true,
+    });
+    Sequencer.stepOut();
+  }
+
+  onStepBack = () => {
+    Sequencer.stepBackward();
+  }
+
   onReset = () => {
     CodeStatusStore.setCodeRunning(false);
     this.setState({
@@ -54,6 +85,38 @@ class ControlBar extends React.Component {
     Sequencer.restart();
   }
 
+  onExportTrace = () => {
+    let trace = JSON.stringify(Sequencer.exportTrace(), null, 2);
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([trace], {type: 'application/json'}));
+    link.download = 'trace.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }
+
+  onImportTrace = () => {
+    React.findDOMNode(this.refs.traceInput).click();
+  }
+
+  onTraceFileSelected = (e) => {
+    let file = e.target.files[0];
+    // clear so that choosing the same file again still fires a change
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    let reader = new FileReader();
+    reader.onload = () => {
+      this.setState({
+        allowResetButton: true,
+      });
+      Sequencer.importTrace(reader.result);
+    };
+    reader.readAsText(file);
+  }
+
   onParse = () => {
     CodeStatusStore.setCodeParsed(true);
     if (this.props.showDynamic) {
@@ -65,13 +128,20 @@ class ControlBar extends React.Component {
     return (
       <Toolbar style={{backgroundColor: 'lightgrey', display: 'flex', 'alignItems': 'center', justifyContent: 'space-around'}}>
         <ToolbarGroup className="legacy-flex" style={{display: 'flex', 'flexGrow': 2, justifyContent: 'space-around'}}>
+          <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || !this.props.canStepBack} onClick={this.onStepBack} style={{'zIndex': 5}} tooltip="Step back one step"><i className="material-icons">skip_previous</i></IconButton>
           <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || this.props.codeFinished} onClick={this.onPlay} style={{'zIndex': 5}} tooltip="Play or resume dynamic execution"><i className="material-icons">play_arrow</i></IconButton>
           <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || !this.props.codeRunning || this.props.codeFinished} onClick={this.onPause} style={{'zIndex': 5}} tooltip="Pause dynamic execution"><i className="material-icons">pause</i></IconButton>
           <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || this.props.codeFinished} onClick={this.onAdvance} style={{'zIndex': 5}} tooltip="Advance one step"><i className="material-icons">skip_next</i></IconButton>
+          <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || this.props.codeFinished} onClick={this.onStepInto} style={{'zIndex': 5}} tooltip="Step into the next function call"><i className="material-icons">call_received</i></IconButton>
+          <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || this.props.codeFinished} onClick={this.onStepOver} style={{'zIndex': 5}} tooltip="Step over calls from this function"><i className="material-icons">redo</i></IconButton>
+          <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || this.props.codeRunning || this.props.codeFinished} onClick={this.onStepOut} style={{'zIndex': 5}} tooltip="Step out of this function"><i className="material-icons">call_made</i></IconButton>
           <IconButton disabled={!this.props.showDynamic || !this.props.codeParsed || !this.state.allowResetButton} onClick={this.onReset} style={{'zIndex': 5}} tooltip="Stop and reset execution to start"><i className="material-icons">replay</i></IconButton>
         </ToolbarGroup>
         <ToolbarSeparator style={{'top': 0}}/>
         <ToolbarGroup style={{flexGrow: 1, display: 'flex', justifyContent: 'space-around'}}>
+          <IconButton disabled={!this.props.showDynamic || this.props.codeRunning || !this.props.historyLength} onClick={this.onExportTrace} style={{'zIndex': 5}} tooltip="Export recorded steps as JSON"><i className="material-icons">file_download</i></IconButton>
+          <IconButton disabled={!this.props.showDynamic || this.props.codeRunning} onClick={this.onImportTrace} style={{'zIndex': 5}} tooltip="Import recorded steps from JSON"><i className="material-icons">file_upload</i></IconButton>
+          <input ref="traceInput" type="file" accept=".json,application/json" style={{display: 'none'}} onChange={this.onTraceFileSelected}/>
           <FlatButton style={{minWidth: '160px'}} disabled={this.props.codeParsed} onClick={this.onParse} label="Parse code"  />
         </ToolbarGroup>
       </Toolbar>
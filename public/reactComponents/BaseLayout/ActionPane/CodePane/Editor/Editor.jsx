@@ -12,6 +12,17 @@ require('brace/theme/solarized_dark');
    so don't trigger React re-rendering */
 import SequencerStore from '../../../../../modules/stores/SequencerStore.js';
 import CodeStore from '../../../../../modules/stores/CodeStore.js';
+import CodeStatusStore from '../../../../../modules/stores/CodeStatusStore.js';
+import RefreshStore from '../../../../../modules/stores/RefreshStore.js';
+import Sequencer from '../../../../../modules/d3DynamicVisualizer/Sequencer/Sequencer.js';
+import astTools from '../../../../../modules/astTools/astTools.js';
+import EditorContextMenu from './EditorContextMenu/EditorContextMenu.jsx';
+
+const annotationTypes = {
+  notice: 'info',
+  warning: 'warning',
+  failure: 'error',
+};
 
 class Editor {
 
@@ -38,7 +49,27 @@ class Editor {
   componentDidMount = () => {
     SequencerStore.subscribeEditor(this.onSequencerAction);
     CodeStore.subscribeListener(this.onCodeStoreChange);
+    CodeStore.subscribeBreakpointListener(this.onBreakpointsChange);
+    SequencerStore.subscribeHistoryListener(this.onHistoryChange);
+    // warnings shown in the editor as {range, status, text, markerId},
+    // one per key and range, however often the warning was raised
+    this.warningMarks = new Map();
+    // how far into the SequencerStore's warning log, and to which step
+    this.shownWarningCount = 0;
+    this.shownHistoryIndex = -1;
     this.refs.aceEditor.editor.session.setUseWrapMode(true);
+    this.refs.aceEditor.editor.on('guttermousedown', this.onGutterClick);
+    this.refs.aceEditor.editor.on('mousemove', this.onMouseMove);
+    this.refs.aceEditor.editor.commands.addCommand({
+      name: 'runToCursor',
+      bindKey: {
+        win: 'Alt-F9',
+        mac: 'Option-F9',
+      },
+      exec: this.onRunToCursor,
+      readOnly: true,
+    });
+    this.refs.aceEditor.editor.container.addEventListener('contextmenu', this.onContextMenu);
   }
 
   shouldComponentUpdate = () => {
@@ -62,12 +93,21 @@ class Editor {
   componentWillUnmount = () => {
     SequencerStore.unsubscribeEditor(this.onSequencerAction);
     CodeStore.unsubscribeListener(this.onCodeStoreChange);
+    CodeStore.unsubscribeBreakpointListener(this.onBreakpointsChange);
+    SequencerStore.unsubscribeHistoryListener(this.onHistoryChange);
+    this.refs.aceEditor.editor.removeListener('guttermousedown', this.onGutterClick);
+    this.refs.aceEditor.editor.removeListener('mousemove', this.onMouseMove);
+    this.refs.aceEditor.editor.container.removeEventListener('contextmenu', this.onContextMenu);
   }
 
   onSequencerAction = () => {
     // highlight actioned code in the editor on each Sequencer update.
     let editor = this.refs.aceEditor.editor;
-    if (this.props.codeRunning) {
+    // recorded steps are also shown when stepping back whilst paused
+    // steps inside builtins, and the finished step, have no range;
+    // leave the last highlight in place for them
+    if ((this.props.codeRunning || SequencerStore.isHistoryStep()) &&
+      SequencerStore.getCurrentRange()) {
       // action happened, disable editing and select range result
       let execCodeBlock = SequencerStore.getCurrentCodeBlock();
       /* try to find via find (regex) first, since the way AceEditor displays
@@ -97,6 +137,8 @@ class Editor {
     if ((editor.curOp && editor.curOp.command.name) ||
       isPaste) {
       CodeStore.set(newValue, true);
+      // the warnings point at code that may no longer be there
+      this.clearWarnings();
       this.props.onUserChangeCode();
     }
   }
@@ -110,7 +152,121 @@ class Editor {
       let editor = this.refs.aceEditor.editor;
       editor.setValue(CodeStore.get());
       editor.selection.clearSelection();
+      this.clearWarnings();
+    }
+  }
+
+  onHistoryChange = (history) => {
+    // the warnings up to the step on display. New steps only add theirs;
+    // stepping back, or the log being emptied on reset, starts again
+    let warningLog = SequencerStore.getWarningLog();
+    if (history.historyIndex < this.shownHistoryIndex ||
+      warningLog.length < this.shownWarningCount) {
+      this.clearWarnings();
+    }
+    let count = this.shownWarningCount;
+    while (count < warningLog.length &&
+      warningLog[count].historyIndex <= history.historyIndex) {
+      count++;
     }
+    this.showWarnings(warningLog.slice(this.shownWarningCount, count));
+    this.shownWarningCount = count;
+    this.shownHistoryIndex = history.historyIndex;
+  }
+
+  getWarningMarkKey = (warning) => {
+    let {start, end} = warning.range;
+    return `${warning.key}:${start.row}:${start.column}:${end.row}:${end.column}`;
+  }
+
+  showWarnings = (warnings) => {
+    let session = this.refs.aceEditor.editor.session;
+    let added = false;
+    warnings.forEach((warning) => {
+      if (!warning.range || this.warningMarks.has(this.getWarningMarkKey(warning))) {
+        return;
+      }
+      let range = astTools.getRangeFromLoc(warning.range);
+      this.warningMarks.set(this.getWarningMarkKey(warning), {
+        range,
+        status: warning.status,
+        text: `${warning.action}: ${warning.message}`,
+        markerId: session.addMarker(range,
+          'ace_warning-marker warning-marker-' + warning.status, 'text', false),
+      });
+      added = true;
+    });
+    if (added) {
+      session.setAnnotations(Array.from(this.warningMarks.values()).map((mark) => {
+        return {
+          row: mark.range.start.row,
+          column: mark.range.start.column,
+          text: mark.text,
+          type: annotationTypes[mark.status] || 'warning',
+        };
+      }));
+    }
+  }
+
+  clearWarnings = () => {
+    let session = this.refs.aceEditor.editor.session;
+    this.warningMarks.forEach((mark) => {
+      session.removeMarker(mark.markerId);
+    });
+    this.warningMarks.clear();
+    this.shownWarningCount = 0;
+    this.shownHistoryIndex = -1;
+    session.clearAnnotations();
+  }
+
+  onMouseMove = (e) => {
+    // the gutter shows annotations on hover already, but not the code itself
+    let position = e.getDocumentPosition();
+    let texts = Array.from(this.warningMarks.values()).filter((mark) => {
+      return mark.range.contains(position.row, position.column);
+    }).map((mark) => {
+      return mark.text;
+    });
+    this.refs.aceEditor.editor.container.title = texts.join('\n');
+  }
+
+  onGutterClick = (e) => {
+    // the Sequencer reads breakpoints from the CodeStore on each step,
+    // so they can be toggled whilst the code is running
+    CodeStore.toggleBreakpoint(e.getDocumentPosition().row);
+    e.stop();
+  }
+
+  onBreakpointsChange = (breakpointRows) => {
+    let session = this.refs.aceEditor.editor.session;
+    session.clearBreakpoints();
+    session.setBreakpoints(breakpointRows);
+  }
+
+  isRunToCursorAllowed = () => {
+    return (RefreshStore.getOptions().showDynamic &&
+      CodeStatusStore.isCodeParsed() &&
+      !CodeStatusStore.isCodeRunning() &&
+      !CodeStatusStore.isCodeFinished());
+  }
+
+  onRunToCursor = () => {
+    if (this.isRunToCursorAllowed()) {
+      let row = this.refs.aceEditor.editor.getCursorPosition().row;
+      CodeStatusStore.setCodeRunning(true);
+      Sequencer.runToCursor(row);
+    }
+  }
+
+  onContextMenu = (e) => {
+    // move the cursor to the clicked line so it is
+    // the one run to, then show our menu instead of the browser's
+    let editor = this.refs.aceEditor.editor;
+    let position = editor.renderer.screenToTextCoordinates(e.clientX, e.clientY);
+    editor.moveCursorToPosition(position);
+    editor.clearSelection();
+    e.preventDefault();
+    this.refs.contextMenu.show(e.clientX, e.clientY);
   }
 
   render = () => {
@@ -123,6 +279,9 @@ class Editor {
         onChange={this.onChangeCodeInEditor}
         onPaste={this.onPaste}
         {...other}/>
+        <EditorContextMenu ref="contextMenu"
+          onRunToCursor={this.onRunToCursor}
+          isRunToCursorAllowed={this.isRunToCursorAllowed}/>
       </div>
     );
   }
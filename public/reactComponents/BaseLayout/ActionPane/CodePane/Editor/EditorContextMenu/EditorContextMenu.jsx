@@ -0,0 +1,69 @@
+import React from 'react';
+import {Paper, FlatButton} from 'material-ui';
+
+/* Right-click menu for the Editor. The Editor never
+   re-renders, so it shows this menu through its ref
+   rather than through props. */
+
+class EditorContextMenu extends React.Component {
+
+  static propTypes = {
+    onRunToCursor: React.PropTypes.func.isRequired,
+    isRunToCursorAllowed: React.PropTypes.func.isRequired,
+  }
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      visible: false,
+      left: 0,
+      top: 0,
+    };
+  }
+
+  componentDidMount = () => {
+    document.addEventListener('click', this.hide);
+  }
+
+  componentWillUnmount = () => {
+    document.removeEventListener('click', this.hide);
+  }
+
+  onRunToCursor = () => {
+    this.hide();
+    this.props.onRunToCursor();
+  }
+
+  show = (left, top) => {
+    this.setState({
+      visible: true,
+      left,
+      top,
+    });
+  }
+
+  hide = () => {
+    if (this.state.visible) {
+      this.setState({
+        visible: false,
+      });
+    }
+  }
+
+  render = () => {
+    if (!this.state.visible) {
+      return null;
+    }
+    return (
+      <Paper zDepth={2} style={{position: 'fixed', left: this.state.left, top: this.state.top, zIndex: 10, backgroundColor: 'lightgrey'}}>
+        <FlatButton
+          disabled={!this.props.isRunToCursorAllowed()}
+          onClick={this.onRunToCursor}
+          label="Run to cursor (Alt-F9)"/>
+      </Paper>
+    );
+  }
+
+}
+
+export default EditorContextMenu;
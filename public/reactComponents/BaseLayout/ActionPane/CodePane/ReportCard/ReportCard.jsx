@@ -0,0 +1,127 @@
+import React from 'react';
+import {Dialog, FlatButton} from 'material-ui';
+
+/* the report card shown once a run has finished (or been stopped):
+   every function called, with the warnings it was blamed for,
+   and how functional the program was overall. Shown once per run,
+   so stepping back and forward again doesn't bring it back. */
+
+import SequencerStore from '../../../../../modules/stores/SequencerStore.js';
+
+const classificationColors = {
+  pure: 'green',
+  'locally impure': 'darkorange',
+  impure: 'red',
+};
+
+const cellStyle = {
+  padding: '4px 8px',
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+
+class ReportCard extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      report: null,
+    };
+    this.shownReport = null;
+  }
+
+  componentDidMount = () => {
+    SequencerStore.subscribeHistoryListener(this.onHistoryChange);
+  }
+
+  componentDidUpdate = (prevProps, prevState) => {
+    if (this.state.report && this.state.report !== prevState.report) {
+      this.refs.dialog.show();
+    }
+  }
+
+  componentWillUnmount = () => {
+    SequencerStore.unsubscribeHistoryListener(this.onHistoryChange);
+  }
+
+  onHistoryChange = (history) => {
+    // the last step of a finished run carries the report
+    let report = SequencerStore.getFunctionReport();
+    if (report && report !== this.shownReport &&
+      history.historyIndex === history.historyLength - 1) {
+      this.shownReport = report;
+      this.setState({
+        report,
+      });
+    }
+  }
+
+  getMutations = (variableNames) => {
+    return (variableNames.length) ? variableNames.join(', ') : '-';
+  }
+
+  handleDialogClose = () => {
+    this.refs.dialog.dismiss();
+  }
+
+  render() {
+    if (!this.state.report) {
+      return null;
+    }
+    let report = this.state.report;
+    let customActions = [<FlatButton
+                            key="close"
+                            label="Close"
+                            primary
+                            onTouchTap={this.handleDialogClose}
+                        />];
+    return (
+      <Dialog
+          ref="dialog"
+          title={`Report card: ${report.classification}`}
+          actions={customActions}
+          autoDetectWindowHeight
+          autoScrollBodyContent>
+        <table style={{width: '100%', borderCollapse: 'collapse'}}>
+          <thead>
+            <tr style={{color: 'gray'}}>
+              <th style={cellStyle}>Function</th>
+              <th style={cellStyle}>Calls</th>
+              <th style={cellStyle}>Max recursion depth</th>
+              <th style={cellStyle}>Always returned</th>
+              <th style={cellStyle}>Mutated in scope</th>
+              <th style={cellStyle}>Mutated out of scope</th>
+              <th style={cellStyle}>Unassigned results</th>
+              <th style={cellStyle}>Same result for same arguments</th>
+              <th style={cellStyle}>Classification</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.functions.map((functionReport) => {
+              return (
+                <tr key={functionReport.name} style={{borderTop: '1px solid lightgrey'}}>
+                  <td style={cellStyle}>{functionReport.name}</td>
+                  <td style={cellStyle}>{functionReport.calls}</td>
+                  <td style={cellStyle}>{functionReport.maxRecursionDepth}</td>
+                  <td style={cellStyle}>{(functionReport.alwaysReturned) ? 'yes' : 'no'}</td>
+                  <td style={cellStyle}>{this.getMutations(functionReport.mutationsInScope)}</td>
+                  <td style={cellStyle}>{this.getMutations(functionReport.mutationsOutOfScope)}</td>
+                  <td style={cellStyle}>{functionReport.unassignedResults}</td>
+                  <td style={cellStyle}>{(functionReport.consistent) ? 'yes' : 'no'}</td>
+                  <td style={Object.assign({
+                    color: classificationColors[functionReport.classification],
+                  }, cellStyle)}>
+                    {functionReport.classification}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </Dialog>
+    );
+  }
+
+}
+
+export default ReportCard;
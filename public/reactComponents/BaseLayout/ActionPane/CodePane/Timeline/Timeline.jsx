@@ -0,0 +1,48 @@
+import React from 'react';
+import {Slider} from 'material-ui';
+
+/* scrubs through the visual steps the Sequencer has recorded
+   so far. Dragging only restores recorded d3/Editor output,
+   the interpreter is not re-run; resuming replays the remaining
+   recorded steps before interpreting new ones. */
+
+import Sequencer from '../../../../../modules/d3DynamicVisualizer/Sequencer/Sequencer.js';
+
+class Timeline extends React.Component {
+
+  static propTypes = {
+    historyIndex: React.PropTypes.number,
+    historyLength: React.PropTypes.number,
+    disabled: React.PropTypes.bool,
+  }
+
+  onScrub = (e, sliderValue) => {
+    if (sliderValue !== this.props.historyIndex) {
+      Sequencer.showRecordedStep(sliderValue);
+    }
+  }
+
+  render = () => {
+    // the slider needs min < max even before anything is recorded
+    let maxIndex = Math.max(this.props.historyLength - 1, 1);
+    let disabled = this.props.disabled || this.props.historyLength < 2;
+    return (
+      <div style={{backgroundColor: 'lightgrey', lineHeight: '24px'}}>
+        <div style={{paddingLeft: '24px', color: disabled ? 'darkgray' : 'black'}}>
+          Step: {(this.props.historyIndex + 1) + ' / ' + this.props.historyLength}
+        </div>
+        <Slider style={{margin: '0 24px 12px 24px', touchAction: 'none', cursor: 'pointer'}}
+          disabled={disabled}
+          onChange={this.onScrub}
+          name="timelineSlider"
+          min={0}
+          step={1}
+          value={Math.max(this.props.historyIndex, 0)}
+          max={maxIndex}/>
+      </div>
+    );
+  }
+
+}
+
+export default Timeline;
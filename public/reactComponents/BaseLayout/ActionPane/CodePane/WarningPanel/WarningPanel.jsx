@@ -0,0 +1,82 @@
+import React from 'react';
+
+/* lists every warning raised in the run; the ErrorPopup snackbar
+   only shows the most important of each step, and only briefly.
+   Clicking an entry goes back to its step, highlighting its code
+   and the function it blames. Those raised after the step on
+   display are dimmed, rather than hidden, when stepping back. */
+
+import Sequencer from '../../../../../modules/d3DynamicVisualizer/Sequencer/Sequencer.js';
+
+const statusColors = {
+  notice: 'goldenrod',
+  warning: 'darkorange',
+  failure: 'red',
+};
+
+class WarningPanel extends React.Component {
+
+  static propTypes = {
+    warnings: React.PropTypes.array.isRequired,
+    historyIndex: React.PropTypes.number,
+    disabled: React.PropTypes.bool,
+  }
+
+  onSelectWarning = (warning) => {
+    if (!this.props.disabled) {
+      Sequencer.showRecordedStep(warning.historyIndex, warning.actingNodeIndex);
+    }
+  }
+
+  getLocation = (warning) => {
+    return (warning.range) ? `line ${warning.range.start.row + 1}` : '';
+  }
+
+  getFunctions = (warning) => {
+    let functions = warning.actingNodeName || 'Program';
+    return (warning.affectedNodeName) ?
+      `${functions} → ${warning.affectedNodeName}` : functions;
+  }
+
+  render = () => {
+    return (
+      <div style={{backgroundColor: 'lightgrey'}}>
+        <div style={{paddingLeft: '24px', lineHeight: '24px'}}>
+          Warnings: {this.props.warnings.length}
+        </div>
+        <div style={{
+          backgroundColor: 'whitesmoke',
+          height: '120px',
+          overflowY: 'auto',
+          padding: '4px 24px',
+        }}>
+          {this.props.warnings.map((warning, i) => {
+            return (
+              <div key={i}
+                onClick={this.onSelectWarning.bind(this, warning)}
+                style={{
+                  cursor: (this.props.disabled) ? 'default' : 'pointer',
+                  borderLeft: `4px solid ${statusColors[warning.status] || 'gray'}`,
+                  paddingLeft: '8px',
+                  marginBottom: '4px',
+                  opacity: (warning.historyIndex > this.props.historyIndex) ? 0.5 : 1,
+                }}>
+                <div style={{color: 'gray'}}>
+                  {`[${warning.step + 1}] ${warning.action} · ${this.getFunctions(warning)}`}
+                  {(warning.range) ?
+                    <span style={{textDecoration: 'underline', marginLeft: '8px'}}>
+                      {this.getLocation(warning)}
+                    </span> : null}
+                </div>
+                <div>{warning.message}</div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+}
+
+export default WarningPanel;
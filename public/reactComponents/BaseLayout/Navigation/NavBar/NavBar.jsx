@@ -8,6 +8,7 @@ import NavigationStore from '../../../../modules/stores/NavigationStore.js';
 import ConstantStore from '../../../../modules/stores/ConstantStore.js';
 import CodeStore from '../../../../modules/stores/CodeStore.js';
 import CodeStatusStore from '../../../../modules/stores/CodeStatusStore.js';
+import SequencerStore from '../../../../modules/stores/SequencerStore.js';
 
 const LeftNav = mui.LeftNav;
 const MenuItem = mui.MenuItem;
@@ -80,9 +81,12 @@ class NavBar {
     switch (menuItem.optionGroup) {
       case 'codeExamples':
         // user has selected pre-written example; this resets the user-typed code.
-        let staticCodeExample =
-          constants[menuItem.optionGroup][menuItem.index].func;
-        CodeStore.set(staticCodeExample, false, true);
+        let example = constants[menuItem.optionGroup][menuItem.index];
+        // examples may limit the interpreter's builtins to those the lesson is about
+        SequencerStore.setOptions({
+          builtins: example.builtins || null,
+        });
+        CodeStore.set(example.func, false, true);
         CodeStatusStore.setCodeParsed(false);
         break;
 
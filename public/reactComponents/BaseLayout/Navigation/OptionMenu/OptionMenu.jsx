@@ -1,10 +1,12 @@
 import React from 'react';
 
-import {IconButton, IconMenu, MenuItem, Checkbox, List, Toggle, Slider} from 'material-ui';
+import {IconButton, IconMenu, MenuItem, Checkbox, List, Toggle, Slider,
+  RadioButton, RadioButtonGroup} from 'material-ui';
 import SequencerStore from '../../../../modules/stores/SequencerStore.js';
 import Sequencer from '../../../../modules/d3DynamicVisualizer/Sequencer/Sequencer.js';
 import RefreshStore from '../../../../modules/stores/RefreshStore.js';
 import CodeStatusStore from '../../../../modules/stores/CodeStatusStore.js';
+import ruleProfiles from '../../../../modules/d3DynamicVisualizer/StateToNodeConverter/ErrorChecker/WarningHandler/ruleProfiles.js';
 
 class OptionMenu extends React.Component {
 
@@ -22,6 +24,9 @@ class OptionMenu extends React.Component {
       stopOnNotices: SequencerStore.getOptions().stopOnNotices,
       showFunctionLabels: SequencerStore.getOptions().showFunctionLabels,
       highlightExecutedCode: SequencerStore.getOptions().highlightExecutedCode,
+      flagConsoleOutput: SequencerStore.getOptions().flagConsoleOutput,
+      ruleProfile: SequencerStore.getOptions().ruleProfile,
+      maxInterpretingTime: SequencerStore.getOptions().maxInterpretingTime,
       isCodeRunning: CodeStatusStore.isCodeRunning(),
     };
   }
@@ -67,6 +72,21 @@ class OptionMenu extends React.Component {
     });
   }
 
+  // read when the interpreter is created, so applies from the next run
+  setFlagConsoleOutput = () => {
+    let flag = !this.state.flagConsoleOutput;
+    SequencerStore.setOptions({
+      flagConsoleOutput: flag,
+    });
+  }
+
+  // also read when the interpreter is created
+  setRuleProfile = (e, ruleProfile) => {
+    SequencerStore.setOptions({
+      ruleProfile,
+    });
+  }
+
   setDelayVisualizer = () => {
     let flag = !this.state.delayVisualizer;
     SequencerStore.setOptions({
@@ -94,6 +114,13 @@ class OptionMenu extends React.Component {
     });
   }
 
+  // slider is in seconds
+  setMaxInterpretingTime = (e, sliderValue) => {
+    SequencerStore.setOptions({
+      maxInterpretingTime: sliderValue * 1000,
+    });
+  }
+
 
   onSequencerStoreOptionChange = () => {
     this.setState({
@@ -107,6 +134,9 @@ class OptionMenu extends React.Component {
       stopOnNotices: SequencerStore.getOptions().stopOnNotices,
       showFunctionLabels: SequencerStore.getOptions().showFunctionLabels,
       highlightExecutedCode: SequencerStore.getOptions().highlightExecutedCode,
+      flagConsoleOutput: SequencerStore.getOptions().flagConsoleOutput,
+      ruleProfile: SequencerStore.getOptions().ruleProfile,
+      maxInterpretingTime: SequencerStore.getOptions().maxInterpretingTime,
     });
   }
 
@@ -159,6 +189,16 @@ class OptionMenu extends React.Component {
           labelStyle={{width: 'calc(100% - 100px)'}}
           checked={this.state.stopOnNotices}
           onCheck={this.setStopOnNotices}/>
+        <Checkbox
+          style={{padding: '0 24px 0 24px', margin: '12px 0'}}
+          name="flagConsoleOutputCheckbox"
+          ref="flagConsoleOutputCheckbox"
+          disabled={this.state.codeRunning}
+          label="Warn on console output"
+          labelPosition="left"
+          labelStyle={{width: 'calc(100% - 100px)'}}
+          checked={this.state.flagConsoleOutput}
+          onCheck={this.setFlagConsoleOutput}/>
         <Checkbox
           style={{padding: '0 24px 0 24px', margin: '12px 0'}}
           name="highlightExecutedCodeCheckbox"
@@ -206,6 +246,37 @@ class OptionMenu extends React.Component {
           value={this.state.maxAllowedReturnNodes}
           max={1}/>
         </MenuItem>
+        <MenuItem index={3} disabled style={{lineHeight: '24px'}}>
+        <div style={{paddingLeft: '24px', color: 'white'}}>Interpreting time limit: {Math.round(this.state.maxInterpretingTime / 1000) + ' s'}</div>
+        <div style={{paddingLeft: '24px', color: 'darkgray', fontSize: '12px'}}>delays and pauses between steps don't count</div>
+        <Slider style={{margin: '0 12px 24px 12px', touchAction: 'none', cursor: 'pointer'}}
+          onChange={this.setMaxInterpretingTime}
+          name="maxInterpretingTimeSlider"
+          min={1}
+          step={1}
+          value={this.state.maxInterpretingTime / 1000}
+          max={60}/>
+        </MenuItem>
+      </List>
+      <List subheader="Rule profile" subheaderStyle={{color: 'darkgray'}}>
+        <RadioButtonGroup
+          style={{padding: '0 24px 0 24px'}}
+          name="ruleProfile"
+          valueSelected={this.state.ruleProfile}
+          onChange={this.setRuleProfile}>
+          {ruleProfiles.getProfileList().map((profile) => {
+            return (
+              <RadioButton
+                key={profile.id}
+                style={{margin: '12px 0'}}
+                value={profile.id}
+                disabled={this.state.codeRunning}
+                label={profile.name}
+                labelPosition="left"
+                labelStyle={{width: 'calc(100% - 100px)'}}/>
+            );
+          })}
+        </RadioButtonGroup>
       </List>
       </IconMenu>
     );
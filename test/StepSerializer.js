@@ -0,0 +1,64 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+var StepSerializer = require('../public/modules/d3DynamicVisualizer/StepSerializer/StepSerializer.js');
+
+describe('StepSerializer', function() {
+
+  describe('diffStep and patchStep', function() {
+    it('rebuild every step of a run from the diffs the worker sends', function() {
+      var trace = support.traceProgram(
+        'function fact(n) { return (n < 2) ? 1 : n * fact(n - 1); }\nvar x = fact(4);');
+      var lastStep = null;
+      trace.steps.forEach(function(step) {
+        var diff = JSON.parse(JSON.stringify(StepSerializer.diffStep(lastStep, step)));
+        assert.deepEqual(StepSerializer.patchStep(lastStep, diff), step);
+        lastStep = step;
+      });
+    });
+
+    it('leave out nodes and links that have not changed', function() {
+      var trace = support.traceProgram('function one() { return 1; }\nvar x = one();');
+      var steps = trace.steps;
+      var diff = StepSerializer.diffStep(steps[steps.length - 2], steps[steps.length - 1]);
+      assert(diff.changedNodes.length < diff.nodeOrder.length);
+    });
+  });
+
+  describe('getTraceError', function() {
+    var code = 'function add(a, b) { return a + b; }\nvar x = add(1, 2);';
+
+    // a traceProgram result as the Sequencer's importTrace expects it
+    function getTrace() {
+      var trace = support.traceProgram(code);
+      trace.codeString = code;
+      return JSON.parse(JSON.stringify(trace));
+    }
+
+    it('accepts traceProgram results with their codeString', function() {
+      assert.strictEqual(StepSerializer.getTraceError(getTrace()), null);
+    });
+
+    it('rejects files that are not traces', function() {
+      assert(StepSerializer.getTraceError(null));
+      assert(StepSerializer.getTraceError({steps: []}));
+      assert(StepSerializer.getTraceError({codeString: code, steps: {}}));
+    });
+
+    it('rejects traces of other versions', function() {
+      var trace = getTrace();
+      trace.version = StepSerializer.traceVersion + 1;
+      assert(/another version/.test(StepSerializer.getTraceError(trace)));
+      delete trace.version;
+      assert(/another version/.test(StepSerializer.getTraceError(trace)));
+    });
+
+    it('names the first step without nodes or links', function() {
+      var trace = getTrace();
+      delete trace.steps[2].links;
+      trace.steps[3].nodes = null;
+      assert.strictEqual(StepSerializer.getTraceError(trace),
+        'The trace is damaged: step 3 has no nodes or links.');
+    });
+  });
+
+});
@@ -0,0 +1,73 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('array methods', function() {
+  var definitions = [
+    'function show(v) { return v; }',
+    'function isEven(n) { return n % 2 === 0; }',
+    'var xs = [1, 2, 3, 4];',
+  ];
+
+  it('return interpreter values that can be inspected', function() {
+    var code = definitions.concat([
+      'var evens = xs.filter(isEven);',
+      'var a = show(evens.length);',
+      'var b = show(evens[1]);',
+      'var c = show(xs.some(isEven));',
+      'var d = show(xs.every(isEven));',
+      'var e = show(xs.find(isEven));',
+      'var f = show(xs.findIndex(isEven));',
+      'var g = show(xs.reduceRight(function(acc, n) { return acc + n; }, ""));',
+      'var h = show(xs.concat([5], 6).length);',
+      'var i = show(xs.slice(1, 3)[0]);',
+      'var j = show(xs.indexOf(3));',
+      'var k = show(Array.isArray(evens));',
+      'var l = show(Array.isArray(a));',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getReturnedValues(trace, 'show'),
+      ['2', '4', 'true', 'false', '2', '1', '"4321"', '6', '2', '2', 'true', 'false']);
+  });
+
+  it('call forEach callbacks for every element', function() {
+    var code = definitions.concat([
+      'var total = 0;',
+      'xs.forEach(function(n) { total = total + n; });',
+      'var t = show(total);',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getReturnedValues(trace, 'show'), ['10']);
+  });
+
+  it('do not flag callbacks for results the method uses', function() {
+    var code = definitions.concat([
+      'var evens = xs.filter(isEven);',
+      'var any = xs.some(isEven);',
+      'var all = xs.every(isEven);',
+      'var first = xs.find(isEven);',
+      'var index = xs.findIndex(isEven);',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getWarnings(trace, 'functionReturnUnassigned'), []);
+    assert.deepEqual(support.getWarnings(trace, 'functionDoesNotReturnValue'), []);
+  });
+
+  it('do not flag forEach callbacks for returning nothing', function() {
+    var code = definitions.concat([
+      'var doubled = [];',
+      'xs.forEach(function(n) { doubled[doubled.length] = n * 2; });',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    var callbackWarnings = support.getWarnings(trace, 'functionDoesNotReturnValue')
+      .filter(function(warning) {
+        return warning.actingNodeName !== 'forEach';
+      });
+    assert.deepEqual(callbackWarnings, []);
+  });
+
+});
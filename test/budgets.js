@@ -0,0 +1,52 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// the warning the run was stopped with
+function getStopWarning(trace) {
+  var lastStep = trace.steps[trace.steps.length - 1];
+  return lastStep.warning;
+}
+
+describe('run budgets', function() {
+  var endlessLoop = 'function spin() {\n  while (true) {}\n}\nspin();';
+
+  it('stop endless loops after maxInterpreterSteps', function() {
+    var trace = traceProgram(endlessLoop, {
+      maxInterpreterSteps: 2000,
+    });
+    assert.strictEqual(trace.stopped, true);
+    assert.strictEqual(trace.finished, false);
+    assert.strictEqual(getStopWarning(trace).key, 'interpreterStepsExceeded');
+    assert.strictEqual(getStopWarning(trace).actingNodeName, 'spin');
+  });
+
+  it('stop endless loops after maxInterpretingTime', function() {
+    var trace = traceProgram(endlessLoop, {
+      maxInterpreterSteps: Infinity,
+      maxInterpretingTime: 100,
+    });
+    assert.strictEqual(trace.stopped, true);
+    assert.strictEqual(getStopWarning(trace).key, 'interpretingTimeExceeded');
+  });
+
+  it('stop runaway recursion at maxScopeDepth', function() {
+    var trace = traceProgram('function down(n) {\n  return down(n + 1);\n}\nvar x = down(0);', {
+      maxScopeDepth: 20,
+    });
+    assert.strictEqual(trace.stopped, true);
+    assert.strictEqual(getStopWarning(trace).key, 'scopeDepthExceeded');
+    assert.strictEqual(getStopWarning(trace).actingNodeName, 'down');
+    assert(trace.errorCount > 0);
+  });
+
+  it('let programs within them finish', function() {
+    var trace = traceProgram('function down(n) {\n  return (n > 0) ? down(n - 1) : n;\n}\nvar x = down(10);', {
+      maxScopeDepth: 20,
+    });
+    assert.strictEqual(trace.finished, true);
+    assert.strictEqual(trace.stopped, false);
+  });
+
+});
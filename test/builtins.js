@@ -0,0 +1,64 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('builtins', function() {
+  var definitions = [
+    'function show(v) { return v; }',
+    'function inc(n) { return n + 1; }',
+    'function add(a, b) { return a + b; }',
+  ];
+
+  it('install the helpers of the registry', function() {
+    var code = definitions.concat([
+      'var a = show(compose(inc, inc)(1));',
+      'var b = show(curry(add)(1)(2));',
+      'var c = show(partial(add, 3)(4));',
+      'var d = show(Object.keys({x: 1, y: 2}).length);',
+      'var e = show(Math.max(2, 9));',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getReturnedValues(trace, 'show'), ['3', '3', '7', '2', '9']);
+    assert.deepEqual(trace.warnings, []);
+  });
+
+  it('visualize the calls the helpers make', function() {
+    var trace = traceProgram(definitions.concat('var x = compose(inc, inc)(1);').join('\n'));
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getNodeNames(trace), ['Program', 'anonymous', 'compose', 'inc']);
+    assert.deepEqual(support.getReturnedValues(trace, 'inc'), ['2', '3']);
+  });
+
+  it('install only the selected helpers', function() {
+    var code = definitions.concat([
+      'var a = show(typeof this.compose);',
+      'var b = show(typeof this.curry);',
+      'var c = show(typeof Object.freeze);',
+    ]).join('\n');
+    var trace = traceProgram(code, {
+      builtins: ['compose'],
+    });
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getReturnedValues(trace, 'show'),
+      ['"function"', '"undefined"', '"undefined"']);
+  });
+
+  it('keep frozen objects and arrays from changing', function() {
+    var code = definitions.concat([
+      'var o = Object.freeze({a: 1});',
+      'o.a = 5;',
+      'o.b = 2;',
+      'var xs = Object.freeze([1]);',
+      'xs[1] = 2;',
+      'var a = show(o.a);',
+      'var b = show(typeof o.b);',
+      'var c = show(xs.length);',
+    ]).join('\n');
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getReturnedValues(trace, 'show'), ['1', '"undefined"', '1']);
+  });
+
+});
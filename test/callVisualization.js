@@ -0,0 +1,104 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('visualized calls', function() {
+
+  describe('to user functions stored on objects', function() {
+    var code = [
+      'var utils = {',
+      '  double: function(n) { return n * 2; },',
+      '  twice: function(f, x) { return f(f(x)); },',
+      '};',
+      'var counter = {',
+      '  count: 1,',
+      '  next: function() { return this.count + 1; },',
+      '  again: function() { var n = this.next(); return n; },',
+      '};',
+      'var y = utils.twice(utils.double, 1);',
+      'var z = counter.again();',
+    ].join('\n');
+
+    it('are shown under the code that calls them', function() {
+      var trace = traceProgram(code);
+      assert.strictEqual(trace.error, null);
+      assert.deepEqual(support.getNodeNames(trace),
+        ['Program', 'utils.twice', 'f', 'counter.again', 'this.next']);
+      assert.deepEqual(trace.warnings, []);
+    });
+
+    it('show the functions passed to them', function() {
+      var trace = traceProgram(code);
+      var displayNames = trace.steps[2].nodes.map(function(node) {
+        return node.displayName;
+      });
+      assert(displayNames.some(function(displayName) {
+        return /utils\.twice.*utils\.double/.test(displayName);
+      }), displayNames.join(', '));
+    });
+  });
+
+  it('do not include builtin methods', function() {
+    var trace = traceProgram('var xs = [3, 1, 2];\nvar ys = xs.slice(1);\nvar s = "ab".toUpperCase();');
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(support.getNodeNames(trace), ['Program']);
+  });
+
+  it('show array elements passed to them', function() {
+    var code = 'function id(v) { return v; }\nvar xs = [5, 6];\nvar i = 1;\n' +
+      'var a = id(xs[i]);\nvar b = id(xs[0]);\nvar c = id(xs.length);';
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    var returned = trace.steps[trace.steps.length - 1].nodes.filter(function(node) {
+      return node.name === 'id';
+    }).map(function(node) {
+      return node.displayName;
+    });
+    assert.deepEqual(returned, ['return (2)', 'return (5)', 'return (6)']);
+  });
+
+  it('show members of call results passed to them', function() {
+    var code = 'function id(v) { return v; }\nvar xs = [5, 6];\n' +
+      'var a = {b: {c: 7}};\nvar n = id(xs.concat([7], 8).length);\nvar c = id(a.b.c);';
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    var returned = trace.steps[trace.steps.length - 1].nodes.filter(function(node) {
+      return node.name === 'id';
+    }).map(function(node) {
+      return node.displayName;
+    });
+    assert.deepEqual(returned, ['return (7)', 'return (4)']);
+  });
+
+  describe('to callbacks of map and reduce', function() {
+    var code = 'function double(n) { return n * 2; }\nvar xs = [1, 2];\n' +
+      'var ys = xs.map(double);\nvar total = xs.reduce(function(a, b) { return a + b; }, 0);';
+
+    // the names of the children of the node called parentName
+    function getChildNames(step, parentName) {
+      var parent = step.nodes.filter(function(node) {
+        return node.name === parentName;
+      })[0];
+      return step.nodes.filter(function(node) {
+        return node.parentIndex === parent.nodeIndex;
+      }).map(function(node) {
+        return node.name + ' ' + node.displayName;
+      }).sort();
+    }
+
+    it('are shown under a node of the method calling them', function() {
+      var trace = traceProgram(code);
+      var lastStep = trace.steps[trace.steps.length - 1];
+      assert.strictEqual(trace.error, null);
+      assert.deepEqual(getChildNames(lastStep, 'Program'), ['map return ({object})', 'reduce return (3)']);
+      assert.deepEqual(getChildNames(lastStep, 'map'), ['double return (2)', 'double return (4)']);
+      assert.deepEqual(getChildNames(lastStep, 'reduce'), ['anonymous return (1)', 'anonymous return (3)']);
+    });
+
+    it('raise no warnings about the values the methods return', function() {
+      assert.deepEqual(traceProgram(code).warnings, []);
+    });
+  });
+
+});
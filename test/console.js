@@ -0,0 +1,48 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('console', function() {
+  var code = [
+    'function greet(name) {',
+    '  console.log("hi", name, 1, true, [1, 2], {a: 1});',
+    '  return name;',
+    '}',
+    'var g = greet("ann");',
+    'console.warn("w");',
+    'console.error(undefined, null);',
+  ].join('\n');
+
+  it('collects the lines the program writes', function() {
+    var trace = traceProgram(code);
+    assert.strictEqual(trace.error, null);
+    assert.deepEqual(trace.output.map(function(line) {
+      return line.method + ': ' + line.text;
+    }), ['log: hi ann 1 true [1, 2] {a: 1}', 'warn: w', 'error: undefined null']);
+  });
+
+  it('tags each line with its step and function node', function() {
+    var trace = traceProgram(code);
+    var line = trace.output[0];
+    var step = trace.steps.filter(function(visualStep) {
+      return visualStep.step === line.step;
+    })[0];
+    assert.strictEqual(line.functionName, 'greet');
+    assert(step.nodes.some(function(node) {
+      return node.nodeIndex === line.nodeIndex && node.name === 'greet';
+    }));
+    assert.strictEqual(trace.output[1].functionName, 'Program');
+  });
+
+  it('flags output as a side effect only when asked to', function() {
+    assert.deepEqual(traceProgram(code).warnings, []);
+    var trace = traceProgram(code, {
+      flagConsoleOutput: true,
+    });
+    assert.deepEqual(trace.warnings.map(function(warning) {
+      return warning.key + ' ' + warning.actingNodeName;
+    }), ['consoleOutputWritten greet', 'consoleOutputWritten Program', 'consoleOutputWritten Program']);
+  });
+
+});
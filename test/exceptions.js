@@ -0,0 +1,70 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// source > target names of the throwing links of step
+function getThrowingLinks(step) {
+  var names = {};
+  step.nodes.forEach(function(node) {
+    names[node.nodeIndex] = node.name;
+  });
+  return step.links.filter(function(link) {
+    return link.linkState === 'throwing';
+  }).map(function(link) {
+    return names[link.source] + ' > ' + names[link.target];
+  }).sort();
+}
+
+// the first step showing the warning with key
+function getWarningStep(trace, key) {
+  return trace.steps.filter(function(step) {
+    return step.warning && step.warning.key === key;
+  })[0];
+}
+
+function getCaughtNames(step) {
+  return step.nodes.filter(function(node) {
+    return node.caught;
+  }).map(function(node) {
+    return node.name;
+  });
+}
+
+describe('exceptions', function() {
+
+  it('stop the run when uncaught, unwinding every function', function() {
+    var trace = traceProgram('function fail() { throw new Error("no"); }\n' +
+      'function run() { return fail(); }\nvar x = run();');
+    assert.strictEqual(trace.error, null);
+    assert.strictEqual(trace.stopped, true);
+    assert.strictEqual(trace.thrown, true);
+    assert.deepEqual(support.getWarningKeys(trace), ['uncaughtException']);
+    assert.strictEqual(trace.warnings[0].actingNodeName, 'fail');
+    var step = getWarningStep(trace, 'uncaughtException');
+    assert.deepEqual(getThrowingLinks(step), ['fail > run', 'run > Program']);
+  });
+
+  it('unwind up to the function catching them, which is marked', function() {
+    var trace = traceProgram('function fail() { throw "no"; }\n' +
+      'function run() { try { return fail(); } catch (e) { return 0; } }\nvar x = run();');
+    assert.strictEqual(trace.finished, true);
+    assert.deepEqual(support.getWarningKeys(trace), ['exceptionCaught']);
+    var step = getWarningStep(trace, 'exceptionCaught');
+    assert.deepEqual(getThrowingLinks(step), ['fail > run']);
+    assert.deepEqual(getCaughtNames(step), ['run']);
+  });
+
+  it('are still blamed on the function throwing them after a finally block', function() {
+    var trace = traceProgram('function fail() { throw "no"; }\n' +
+      'function run() { try { return fail(); } finally { var y = 1; } }\n' +
+      'function outer() { try { return run(); } catch (e) { return 0; } }\nvar x = outer();');
+    assert.strictEqual(trace.finished, true);
+    assert.deepEqual(support.getWarningKeys(trace), ['exceptionCaught']);
+    assert.strictEqual(trace.warnings[0].actingNodeName, 'fail');
+    var step = getWarningStep(trace, 'exceptionCaught');
+    assert.deepEqual(getThrowingLinks(step), ['fail > run', 'run > outer']);
+    assert.deepEqual(getCaughtNames(step), ['outer']);
+  });
+
+});
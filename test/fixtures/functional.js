@@ -0,0 +1,4 @@
+function square(n) {
+  return n * n;
+}
+var nine = square(3);
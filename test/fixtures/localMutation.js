@@ -0,0 +1,6 @@
+function sum(xs) {
+  var total = 0;
+  total = total + xs[0];
+  return total;
+}
+var s = sum([1]);
@@ -0,0 +1,3 @@
+function square(n) {
+  return n * ;
+}
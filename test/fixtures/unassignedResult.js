@@ -0,0 +1,4 @@
+function square(n) {
+  return n * n;
+}
+square(3);
@@ -0,0 +1,64 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('function report', function() {
+  var code = [
+    'function fact(n) { return n <= 1 ? 1 : n * fact(n - 1); }',
+    'var total = 0;',
+    'function add(n) { total = total + n; }',
+    'function sum(xs) { var s = 0; s = s + xs[0]; return s; }',
+    'function unused() { return 1; }',
+    'var f = fact(3);',
+    'add(1);',
+    'sum([1]);',
+    'var s = sum([2]);',
+  ].join('\n');
+
+  // the report entry of the function called name
+  function getEntry(report, name) {
+    return report.functions.filter(function(entry) {
+      return entry.name === name;
+    })[0];
+  }
+
+  it('lists every function called, and only those', function() {
+    var report = traceProgram(code).functionReport;
+    assert.deepEqual(report.functions.map(function(entry) {
+      return entry.name;
+    }), ['Program', 'fact', 'add', 'sum']);
+  });
+
+  it('counts calls and recursion depth', function() {
+    var fact = getEntry(traceProgram(code).functionReport, 'fact');
+    assert.strictEqual(fact.calls, 3);
+    assert.strictEqual(fact.maxRecursionDepth, 3);
+    assert.strictEqual(fact.alwaysReturned, true);
+    assert.strictEqual(fact.classification, 'pure');
+  });
+
+  it('lists the mutations, missing returns and unassigned results of each', function() {
+    var report = traceProgram(code).functionReport;
+    var add = getEntry(report, 'add');
+    var sum = getEntry(report, 'sum');
+    assert.strictEqual(add.alwaysReturned, false);
+    assert.deepEqual(add.mutationsOutOfScope, ['total']);
+    assert.strictEqual(add.unassignedResults, 1);
+    assert.strictEqual(add.classification, 'impure');
+    assert.deepEqual(sum.mutationsInScope, ['s']);
+    assert.strictEqual(sum.unassignedResults, 1);
+    assert.strictEqual(sum.classification, 'locally impure');
+    assert.strictEqual(report.classification, 'impure');
+  });
+
+  it('classifies by the levels of the rule profile', function() {
+    var report = traceProgram(code, {
+      ruleProfile: 'imperative',
+    }).functionReport;
+    assert.strictEqual(getEntry(report, 'add').classification, 'locally impure');
+    assert.strictEqual(getEntry(report, 'sum').classification, 'pure');
+    assert.strictEqual(report.classification, 'locally impure');
+  });
+
+});
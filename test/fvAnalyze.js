@@ -0,0 +1,64 @@
+var assert = require('assert');
+var path = require('path');
+var spawnSync = require('child_process').spawnSync;
+
+var analyzer = path.join(__dirname, '../bin/fv-analyze.js');
+
+function analyze(args) {
+  return spawnSync(process.execPath, [analyzer].concat(args), {
+    cwd: __dirname,
+    encoding: 'utf8',
+  });
+}
+
+describe('fv-analyze', function() {
+  // starts a node process that compiles the analysis modules
+  this.timeout(30000);
+
+  it('exits with 0 for functional code', function() {
+    var run = analyze(['fixtures/functional.js']);
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert(/No critical errors\. FUNCTIONAL\./.test(run.stdout));
+  });
+
+  it('prints each warning and exits with 1 for critical errors', function() {
+    var run = analyze(['fixtures/unassignedResult.js']);
+    assert.strictEqual(run.status, 1, run.stderr);
+    assert(/Result of function 'square' is not assigned/.test(run.stdout));
+    assert(/line 4: square\(3\);/.test(run.stdout));
+  });
+
+  it('exits with 2 for files that cannot be read or parsed', function() {
+    assert.strictEqual(analyze(['fixtures/syntaxError.js']).status, 2);
+    assert.strictEqual(analyze(['fixtures/missing.js']).status, 2);
+    assert.strictEqual(analyze([]).status, 2);
+  });
+
+  it('prints the results as JSON with --json', function() {
+    var run = analyze(['--json', 'fixtures/functional.js', 'fixtures/unassignedResult.js']);
+    var results = JSON.parse(run.stdout);
+    assert.deepEqual(results.map(function(result) {
+      return result.errorCount;
+    }), [0, 1]);
+    assert.strictEqual(results[1].warnings[0].key, 'functionReturnUnassigned');
+    assert.strictEqual(results[1].warnings[0].line, 4);
+  });
+
+  it('counts warnings by the rule profile given with --profile', function() {
+    assert.strictEqual(analyze(['fixtures/localMutation.js']).status, 0);
+    var run = analyze(['--profile', 'strictFP', 'fixtures/localMutation.js']);
+    assert.strictEqual(run.status, 1, run.stderr);
+    assert(/\[failure\]/.test(run.stdout));
+    run = analyze(['--profile', 'fixtures/strictLocals.json', 'fixtures/localMutation.js']);
+    assert.strictEqual(run.status, 1, run.stderr);
+  });
+
+  it('exits with 2 for rule profiles that cannot be used', function() {
+    var run = analyze(['--profile', 'fixtures/badProfile.json', 'fixtures/localMutation.js']);
+    assert.strictEqual(run.status, 2);
+    assert(/Rule profile error/.test(run.stderr));
+    assert.strictEqual(analyze(['--profile', 'nope', 'fixtures/localMutation.js']).status, 2);
+    assert.strictEqual(analyze(['fixtures/localMutation.js', '--profile']).status, 2);
+  });
+
+});
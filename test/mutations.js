@@ -0,0 +1,52 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// acting > affected function of each warning raised with key
+function getMutations(code, key) {
+  var trace = traceProgram(code);
+  assert.strictEqual(trace.error, null);
+  return support.getWarnings(trace, key).map(function(warning) {
+    return warning.actingNodeName + ' > ' + warning.affectedNodeName;
+  });
+}
+
+describe('mutation warnings', function() {
+
+  it('are raised for mutator methods on outer arrays', function() {
+    var code = 'var xs = [];\nfunction addOne() { xs.push(1); return xs; }\nvar ys = addOne();';
+    assert.deepEqual(getMutations(code, 'variableMutatedOutOfScope'), ['addOne > Program']);
+  });
+
+  it('are raised for mutator methods on local arrays', function() {
+    var code = 'function f() { var xs = [3, 1]; xs.sort(); xs.reverse(); xs.splice(0, 1); return xs; }\n' +
+      'var ys = f();';
+    assert.deepEqual(getMutations(code, 'variableMutatedInScope'), ['f > null']);
+    assert.deepEqual(getMutations(code, 'variableMutatedOutOfScope'), []);
+  });
+
+  it('are raised for ++ and -- on outer and local variables', function() {
+    assert.deepEqual(getMutations('var count = 0;\nfunction next() { count++; return count; }\nvar n = next();',
+      'variableMutatedOutOfScope'), ['next > Program']);
+    assert.deepEqual(getMutations('function f() { var i = 0; i++; --i; return i; }\nvar n = f();',
+      'variableMutatedInScope'), ['f > null']);
+  });
+
+  it('are raised for -- and delete on outer object properties', function() {
+    var code = 'var o = {n: 1, m: 2};\nfunction f() { o.n--; delete o.m; return o; }\nvar p = f();';
+    assert.deepEqual(getMutations(code, 'variableMutatedOutOfScope'), ['f > Program']);
+  });
+
+  it('are raised for objects changed through this', function() {
+    var code = 'var counter = {n: 1, inc: function() { this.n = this.n + 1; return this.n; }};\n' +
+      'var n = counter.inc();';
+    assert.deepEqual(getMutations(code, 'objectMutatedOutOfScope'), ['counter.inc > null']);
+  });
+
+  it('are not raised for methods returning new arrays', function() {
+    var trace = traceProgram('function f(xs) { return xs.slice(1).concat([2]); }\nvar ys = f([1]);');
+    assert.deepEqual(trace.warnings, []);
+  });
+
+});
@@ -0,0 +1,50 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// the statuses the node of the function called name went through
+function getStatuses(trace, name) {
+  var statuses = [];
+  trace.steps.forEach(function(step) {
+    step.nodes.forEach(function(node) {
+      if (node.name === name && statuses.indexOf(node.status) === -1) {
+        statuses.push(node.status);
+      }
+    });
+  });
+  return statuses;
+}
+
+describe('non-deterministic calls', function() {
+
+  it('are flagged for Math.random, new Date() and Date.now() in user functions', function() {
+    [
+      'function roll() { return Math.floor(Math.random() * 6); }\nvar a = roll();',
+      'function roll() { return new Date(); }\nvar a = roll();',
+      'function roll() { return Date.now(); }\nvar a = roll();',
+    ].forEach(function(code) {
+      var trace = traceProgram(code);
+      assert.strictEqual(trace.error, null);
+      assert.deepEqual(support.getWarningKeys(trace), ['nonDeterministicCall'], code);
+      assert.strictEqual(trace.warnings[0].actingNodeName, 'roll');
+    });
+  });
+
+  it('count as errors and set the status of the calling node', function() {
+    var trace = traceProgram('function roll() { return Math.random(); }\nvar a = roll();');
+    var lastStep = trace.steps[trace.steps.length - 1];
+    var root = lastStep.nodes.filter(function(node) {
+      return node.name === 'Program';
+    })[0];
+    assert.strictEqual(trace.errorCount, 1);
+    assert.strictEqual(root.errorCount, 1);
+    assert.deepEqual(getStatuses(trace, 'roll'), ['normal', 'warning']);
+  });
+
+  it('are not flagged outside user functions or for deterministic builtins', function() {
+    assert.deepEqual(traceProgram('var r = Math.random();').warnings, []);
+    assert.deepEqual(traceProgram('function f() { return Math.floor(2.5); }\nvar a = f();').warnings, []);
+  });
+
+});
@@ -0,0 +1,44 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// acting > affected function of each readsMutableOuterVariable warning
+function getOuterReads(code) {
+  var trace = traceProgram(code);
+  assert.strictEqual(trace.error, null);
+  return support.getWarnings(trace, 'readsMutableOuterVariable').map(function(warning) {
+    return warning.actingNodeName + ' > ' + warning.affectedNodeName;
+  });
+}
+
+describe('outer variable reads', function() {
+
+  it('are flagged when the variable is reassigned later in the run', function() {
+    var code = 'var rate = 2;\nfunction scale(n) { return n * rate; }\nvar a = scale(1);\nrate = 3;';
+    assert.deepEqual(getOuterReads(code), ['scale > Program']);
+  });
+
+  it('are flagged for each read once the variable has changed', function() {
+    var code = 'var rate = 2;\nfunction scale(n) { return n * rate; }\n' +
+      'var a = scale(1);\nrate = 3;\nvar b = scale(1);';
+    assert.deepEqual(getOuterReads(code), ['scale > Program', 'scale > Program']);
+  });
+
+  it('are flagged for variables of enclosing functions', function() {
+    var code = 'function outer() {\n  var x = 1;\n  function inner() { return x; }\n' +
+      '  var y = inner();\n  x = 2;\n  return y;\n}\nvar z = outer();';
+    assert.deepEqual(getOuterReads(code), ['inner > outer']);
+  });
+
+  it('are not flagged for variables that never change', function() {
+    assert.deepEqual(getOuterReads('var PI = 3;\nfunction area(r) { return PI * r * r; }\nvar a = area(2);'), []);
+  });
+
+  it('are not flagged for functions', function() {
+    var code = 'function double(n) { return n * 2; }\nfunction twice(n) { return double(double(n)); }\n' +
+      'var a = twice(1);';
+    assert.deepEqual(getOuterReads(code), []);
+  });
+
+});
@@ -0,0 +1,46 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('result consistency', function() {
+
+  it('is reported per function', function() {
+    var trace = traceProgram('function double(n) { return n * 2; }\n' +
+      'var a = double(1);\nvar b = double(1);\nvar c = double(2);');
+    assert.deepEqual(trace.resultReport, [{
+      name: 'double',
+      calls: 3,
+      consistent: true,
+      inconsistentInputs: [],
+    }]);
+    assert.deepEqual(support.getWarnings(trace, 'nonDeterministicResult'), []);
+  });
+
+  it('compares results by value', function() {
+    var trace = traceProgram('function pair(a, b) { return [a, b]; }\nvar x = pair(1, 2);\nvar y = pair(1, 2);');
+    assert.strictEqual(trace.resultReport[0].consistent, true);
+  });
+
+  it('is broken by different results for equal arguments', function() {
+    var trace = traceProgram('var rate = 2;\nfunction scale(n) { return n * rate; }\n' +
+      'var a = scale(1);\nrate = 3;\nvar b = scale(1);\nvar c = scale(2);');
+    assert.deepEqual(trace.resultReport, [{
+      name: 'scale',
+      calls: 3,
+      consistent: false,
+      inconsistentInputs: ['(1)'],
+    }]);
+    var warnings = support.getWarnings(trace, 'nonDeterministicResult');
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].actingNodeName, 'scale');
+  });
+
+  it('keys calls by the arguments they started with', function() {
+    // both calls end with xs empty
+    var trace = traceProgram('function empty(xs) { var n = xs.length; xs.splice(0, n); return n; }\n' +
+      'var a = empty([1]);\nvar b = empty([1, 2]);');
+    assert.strictEqual(trace.resultReport[0].consistent, true);
+  });
+
+});
@@ -0,0 +1,87 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('rule profiles', function() {
+  var code = [
+    'function sum(xs) {',
+    '  var total = 0;',
+    '  total = total + xs[0];',
+    '  return total;',
+    '}',
+    'var n = 0;',
+    'function bump() { n = n + 1; return n; }',
+    'var s = sum([1]);',
+    'var b = bump();',
+  ].join('\n');
+
+  // key and status of each warning, and the error count
+  function runWithProfile(ruleProfile) {
+    var trace = traceProgram(code, {
+      ruleProfile: ruleProfile,
+    });
+    assert.strictEqual(trace.error, null);
+    return {
+      warnings: trace.warnings.map(function(warning) {
+        return warning.key + ' ' + warning.status;
+      }),
+      errorCount: trace.errorCount,
+    };
+  }
+
+  it('keep the warnings as they are by default', function() {
+    assert.deepEqual(runWithProfile('default'), {
+      warnings: ['variableMutatedInScope notice', 'variableMutatedOutOfScope warning',
+        'readsMutableOuterVariable warning'],
+      errorCount: 1,
+    });
+  });
+
+  it('set the level and weight of each rule', function() {
+    assert.deepEqual(runWithProfile('strictFP'), {
+      warnings: ['variableMutatedInScope failure', 'variableMutatedOutOfScope failure',
+        'readsMutableOuterVariable failure'],
+      // both warnings of bump are about n, which is counted once
+      errorCount: 2,
+    });
+    assert.deepEqual(runWithProfile('imperative'), {
+      warnings: ['variableMutatedOutOfScope notice'],
+      errorCount: 0,
+    });
+  });
+
+  it('turn rules off', function() {
+    assert.deepEqual(runWithProfile('beginner'), {
+      warnings: [],
+      errorCount: 0,
+    });
+  });
+
+  it('can be given as objects, keeping the defaults of rules left out', function() {
+    assert.deepEqual(runWithProfile({
+      name: 'Mine',
+      rules: {
+        variableMutatedOutOfScope: {level: 'notice', weight: 0},
+      },
+    }), {
+      warnings: ['variableMutatedInScope notice', 'variableMutatedOutOfScope notice',
+        'readsMutableOuterVariable warning'],
+      errorCount: 0,
+    });
+  });
+
+  it('are reported as errors when unknown or invalid', function() {
+    [
+      'nope',
+      {rules: {variableMutatedInScope: {level: 'loud'}}},
+    ].forEach(function(ruleProfile) {
+      var trace = traceProgram(code, {
+        ruleProfile: ruleProfile,
+      });
+      assert.strictEqual(trace.error.action, 'Rule profile error');
+      assert.deepEqual(trace.steps, []);
+    });
+  });
+
+});
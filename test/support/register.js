@@ -0,0 +1,9 @@
+/**
+ * The analysis modules are written in ES6 for the browser build,
+ * as for bin/fv-analyze.js.
+ */
+
+require('babel-core/register')({
+  stage: 0,
+  only: /public\/modules/,
+});
@@ -0,0 +1,51 @@
+/**
+ * Helpers for running programs through traceProgram, which runs
+ * the interpreter and ErrorChecker as the dynamic visualizer does.
+ */
+
+var traceProgram = require('../../public/modules/d3DynamicVisualizer/traceProgram/traceProgram.js');
+
+// the keys of every warning raised in the run, in order
+function getWarningKeys(trace) {
+  return trace.warnings.map(function(warning) {
+    return warning.key;
+  });
+}
+
+function getWarnings(trace, key) {
+  return trace.warnings.filter(function(warning) {
+    return warning.key === key;
+  });
+}
+
+// the names of the functions drawn as nodes at any step
+function getNodeNames(trace) {
+  var names = [];
+  trace.steps.forEach(function(step) {
+    step.nodes.forEach(function(node) {
+      if (names.indexOf(node.name) === -1) {
+        names.push(node.name);
+      }
+    });
+  });
+  return names;
+}
+
+// what the calls of the function called name returned, in call order,
+// for programs passing values through function show(v) { return v; }
+function getReturnedValues(trace, name) {
+  var lastStep = trace.steps[trace.steps.length - 1];
+  return lastStep.nodes.filter(function(node) {
+    return node.name === name;
+  }).map(function(node) {
+    return node.displayName.replace(/^return \((.*)\)$/, '$1');
+  }).reverse();
+}
+
+module.exports = {
+  traceProgram: traceProgram,
+  getWarningKeys: getWarningKeys,
+  getWarnings: getWarnings,
+  getNodeNames: getNodeNames,
+  getReturnedValues: getReturnedValues,
+};
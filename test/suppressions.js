@@ -0,0 +1,56 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// key and (zero-based) row of each warning raised running code
+function getWarnedRows(code) {
+  var trace = traceProgram(code);
+  assert.strictEqual(trace.error, null);
+  return trace.warnings.map(function(warning) {
+    return warning.key + ' ' + warning.range.start.row;
+  });
+}
+
+describe('suppression comments', function() {
+  var sum = [
+    'function sum(xs) {',
+    '  var total = 0;',
+    '  for (var i = 0; i < xs.length; i++) {',
+    '    total = total + xs[i];',
+    '  }',
+    '  return total;',
+    '}',
+    'var s = sum([1, 2]);',
+  ].join('\n');
+
+  it('leave the warnings raised without them', function() {
+    assert.deepEqual(getWarnedRows(sum), ['variableMutatedInScope 3', 'variableMutatedInScope 2']);
+  });
+
+  it('skip the named warning on their line', function() {
+    var code = sum.replace('xs[i];', 'xs[i]; // fv-ignore variableMutatedInScope');
+    assert.deepEqual(getWarnedRows(code), ['variableMutatedInScope 2']);
+  });
+
+  it('skip only the warnings they name', function() {
+    var code = sum.replace('xs[i];', 'xs[i]; // fv-ignore functionReturnUnassigned');
+    assert.deepEqual(getWarnedRows(code), ['variableMutatedInScope 3', 'variableMutatedInScope 2']);
+  });
+
+  it('skip every warning on the line below when on a line of their own', function() {
+    var code = sum.replace('    total =', '    // fv-ignore\n    total =');
+    assert.deepEqual(getWarnedRows(code), ['variableMutatedInScope 2']);
+  });
+
+  it('accept the mutations of the function below', function() {
+    assert.deepEqual(getWarnedRows('/* fv-allow-mutation */\n' + sum), []);
+  });
+
+  it('accept mutations only for that function', function() {
+    var code = 'var n = 0;\n/* fv-allow-mutation */\nfunction bump() { n = n + 1; return n; }\n' +
+      'function reset() { n = 0; return n; }\nvar x = bump();\nvar y = reset();';
+    assert.deepEqual(getWarnedRows(code), ['variableMutatedOutOfScope 3']);
+  });
+
+});
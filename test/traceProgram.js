@@ -0,0 +1,39 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('traceProgram', function() {
+
+  it('runs a program to the end and returns every visual step', function() {
+    var trace = traceProgram('function add(a, b) { return a + b; }\nvar x = add(1, 2);');
+    assert.strictEqual(trace.error, null);
+    assert.strictEqual(trace.finished, true);
+    assert(trace.steps.length > 1);
+    trace.steps.forEach(function(step) {
+      assert(Array.isArray(step.nodes));
+      assert(Array.isArray(step.links));
+    });
+    assert.deepEqual(support.getNodeNames(trace), ['Program', 'add']);
+  });
+
+  it('returns steps that survive a JSON round trip', function() {
+    var trace = traceProgram('function add(a, b) { return a + b; }\nvar x = add(1, 2);');
+    assert.deepEqual(JSON.parse(JSON.stringify(trace.steps)), trace.steps);
+  });
+
+  it('collects the warnings raised on the way', function() {
+    var trace = traceProgram('function one() { return 1; }\none();\nvar x = one();');
+    assert.deepEqual(support.getWarningKeys(trace), ['functionReturnUnassigned']);
+    assert.strictEqual(trace.warnings[0].actingNodeName, 'one');
+    assert.strictEqual(trace.errorCount, 1);
+  });
+
+  it('reports code that does not parse instead of throwing', function() {
+    var trace = traceProgram('var x = (;');
+    assert.strictEqual(trace.finished, false);
+    assert.strictEqual(trace.error.action, 'Parser error');
+    assert.deepEqual(trace.steps, []);
+  });
+
+});
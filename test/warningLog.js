@@ -0,0 +1,25 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+describe('warning log', function() {
+  var code = 'var xs = [];\nfunction addOne() { xs.push(1); return xs; }\nvar ys = addOne();\nxs = [];';
+
+  it('keeps every warning raised in a step', function() {
+    var trace = traceProgram(code);
+    assert.deepEqual(trace.warnings.map(function(warning) {
+      return warning.step + ' ' + warning.key;
+    }), ['2 variableMutatedOutOfScope', '2 readsMutableOuterVariable', '4 variableMutatedInScope']);
+  });
+
+  it('shows the most important warning of a step', function() {
+    var steps = traceProgram(code).steps.filter(function(step) {
+      return step.warnings.length > 0;
+    });
+    assert.deepEqual(steps.map(function(step) {
+      return step.warnings.length + ' ' + step.warning.key;
+    }), ['2 variableMutatedOutOfScope', '1 variableMutatedInScope']);
+  });
+
+});
@@ -0,0 +1,29 @@
+var assert = require('assert');
+var support = require('./support/trace.js');
+
+var traceProgram = support.traceProgram;
+
+// the code each warning's range covers
+function getMarkedCode(code, trace) {
+  var lines = code.split('\n');
+  return trace.warnings.map(function(warning) {
+    var range = warning.range;
+    assert.strictEqual(range.start.row, range.end.row);
+    return warning.key + ': ' + lines[range.start.row].slice(range.start.column, range.end.column);
+  });
+}
+
+describe('warning ranges', function() {
+
+  it('cover the assignment, the unassigned call and the function without a return', function() {
+    var code = 'var n = 0;\nfunction bump() {\n  n = n + 1;\n}\nfunction one() { return 1; }\none();\nvar x = bump();';
+    var trace = traceProgram(code);
+    assert.deepEqual(getMarkedCode(code, trace), [
+      'functionReturnUnassigned: one()',
+      'variableMutatedOutOfScope: n = n + 1',
+      'readsMutableOuterVariable: n',
+      'functionDoesNotReturnValue: bump',
+    ]);
+  });
+
+});